@@ -0,0 +1,180 @@
+import net from 'net';
+import os from 'os';
+import fetch from 'node-fetch';
+
+// Alert sinks for the monitor. Every sink has a name and an async
+// send(alert); a sink that fails is logged and never stops the monitor.
+//
+// alert: { type: 'down' | 'recovered' | 'fee', key, probe, name, endpoint, environment,
+//          error, consecutiveFailures, since, downtimeMs, timestamp }
+// Fee alerts from the fee survey also carry kind and severity.
+
+const SINK_TIMEOUT_MS = 10000;
+
+export function formatAlert(alert) {
+  if (alert.type === 'recovered') {
+    const minutes = (alert.downtimeMs / 60000).toFixed(1);
+    return `✅ RECOVERED [${alert.environment}] ${alert.name} (${alert.endpoint}) is back up after ${minutes} min`;
+  }
+  if (alert.type === 'fee') {
+    return `💸 FEE ${alert.severity.toUpperCase()} [${alert.environment}] ${alert.error}`;
+  }
+  const reminder = alert.reminder ? ' (still down)' : '';
+  return `🚨 DOWN${reminder} [${alert.environment}] ${alert.name} (${alert.endpoint}) failed ${alert.consecutiveFailures}x since ${alert.since}: ${alert.error}`;
+}
+
+async function postJson(url, payload) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SINK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class StdoutSink {
+  constructor() {
+    this.name = 'stdout';
+  }
+
+  async send(alert) {
+    console.log(`\n${formatAlert(alert)}`);
+  }
+}
+
+// Generic webhook: the alert object as JSON
+export class WebhookSink {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(alert) {
+    await postJson(this.url, { source: 'bridgeguard', alert });
+  }
+}
+
+// Slack incoming-webhook payload
+export class SlackSink {
+  constructor(url) {
+    this.name = 'slack';
+    this.url = url;
+  }
+
+  async send(alert) {
+    const fields = [
+      { title: 'Endpoint', value: alert.endpoint, short: true },
+      { title: 'Environment', value: alert.environment, short: true }
+    ];
+    if (alert.type !== 'recovered') {
+      fields.push({ title: 'Error', value: alert.error, short: false });
+    }
+
+    await postJson(this.url, {
+      text: formatAlert(alert),
+      attachments: [{
+        color: alert.type === 'recovered' ? 'good' : 'danger',
+        fields,
+        ts: Math.floor(Date.parse(alert.timestamp) / 1000)
+      }]
+    });
+  }
+}
+
+// Plain SMTP without auth or TLS - meant for a local relay or a stand-in
+// such as MailHog or smtp4dev, not a public mail server
+export class EmailSink {
+  constructor({ to, from, host = '127.0.0.1', port = 1025 }) {
+    this.name = 'email';
+    this.to = to.split(',').map(address => address.trim()).filter(Boolean);
+    this.from = from;
+    this.host = host;
+    this.port = port;
+  }
+
+  async send(alert) {
+    const subject = `[BridgeGuard] ${alert.type.toUpperCase()}: ${alert.name} (${alert.environment})`;
+    const body = [formatAlert(alert), '', JSON.stringify(alert, null, 2)].join('\r\n');
+
+    const message = [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date(alert.timestamp).toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      // Dot-stuffing: a line starting with "." would end DATA early
+      body.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')
+    ].join('\r\n');
+
+    await this.deliver(message);
+  }
+
+  deliver(message) {
+    const commands = [
+      { expect: 220 },
+      { send: `EHLO ${os.hostname()}`, expect: 250 },
+      { send: `MAIL FROM:<${this.from}>`, expect: 250 },
+      ...this.to.map(address => ({ send: `RCPT TO:<${address}>`, expect: 250 })),
+      { send: 'DATA', expect: 354 },
+      { send: `${message}\r\n.`, expect: 250 },
+      { send: 'QUIT', expect: 221 }
+    ];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(SINK_TIMEOUT_MS);
+      socket.setEncoding('utf8');
+
+      let buffer = '';
+      let step = 0;
+
+      const fail = error => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.on('timeout', () => fail(new Error(`SMTP timeout talking to ${this.host}:${this.port}`)));
+      socket.on('error', fail);
+      socket.on('data', chunk => {
+        buffer += chunk;
+        // A reply is complete once its last line has "NNN " (not "NNN-")
+        const lines = buffer.split('\r\n');
+        const last = lines.findLast(line => /^\d{3} /.test(line));
+        if (!last) return;
+        buffer = '';
+
+        const code = parseInt(last.slice(0, 3), 10);
+        const expected = commands[step].expect;
+        // 251 "user not local; will forward" is fine for RCPT
+        if (code !== expected && !(expected === 250 && code === 251)) {
+          return fail(new Error(`SMTP ${commands[step].send?.split(' ')[0] || 'greeting'} failed: ${last}`));
+        }
+
+        step++;
+        if (step === commands.length) {
+          socket.end();
+          return resolve();
+        }
+        socket.write(`${commands[step].send}\r\n`);
+      });
+    });
+  }
+}
+
+export function createAlertSinks(alerts = {}) {
+  const sinks = [new StdoutSink()];
+  if (alerts.webhookUrl) sinks.push(new WebhookSink(alerts.webhookUrl));
+  if (alerts.slackWebhookUrl) sinks.push(new SlackSink(alerts.slackWebhookUrl));
+  if (alerts.email?.to) sinks.push(new EmailSink(alerts.email));
+  return sinks;
+}
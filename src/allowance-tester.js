@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import { GalaBridgeClient } from './api-client.js';
+import { GalaAuth } from './auth.js';
+import { ApiError, RateLimitError, SafeModeError } from './errors.js';
+import { BRIDGE_ALLOWANCE_TYPE, remainingAllowance, toAllowanceList } from './allowances.js';
+import { formatUnits, parseUnits } from './balance-reconciler.js';
+import { toTokenClass } from './bridge-tester.js';
+import { CHAIN_PROFILES } from './chains.js';
+import { config, validateConfig } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { recordTestOutcome } from './metrics.js';
+
+// Allowance tests: bridging another wallet's tokens must be refused unless
+// that wallet granted this one enough, and the refusal must be a clean 4xx
+// that names the problem rather than a 5xx, a timeout or a partial transfer.
+
+// Tries requestBridge then RequestTokenBridgeOut with from: owner, signed by
+// client. Returns { rejected, step, error } for the first step that failed,
+// or { rejected: false } when the whole bridge-out went through.
+export async function attemptBridgeFrom(client, owner, { tokenClass, quantity, destinationChainId, recipient }) {
+  let step = 'bridge/request';
+  try {
+    const quote = await client.requestBridge(
+      client.auth.walletAddress,
+      destinationChainId,
+      recipient,
+      String(quantity),
+      toTokenClass(tokenClass),
+      { from: owner }
+    );
+    step = 'RequestTokenBridgeOut';
+    const bridgeOut = await client.requestTokenBridgeOut({ ...(quote?.data?.dto || quote?.data), from: owner });
+    return { rejected: false, bridgeRequestId: bridgeOut?.data?.bridgeRequestId };
+  } catch (error) {
+    return { rejected: true, step, error };
+  }
+}
+
+// A clean refusal is a client error other than a rate limit; anything else
+// leaves the caller unable to tell "not allowed" from "server broke"
+export function isCleanRejection(error) {
+  return error instanceof ApiError && !(error instanceof RateLimitError)
+    && error.status >= 400 && error.status < 500;
+}
+
+function randomWalletAddress() {
+  return new GalaAuth(crypto.randomBytes(32).toString('hex')).walletAddress;
+}
+
+export class AllowanceTester {
+  // grantor is a second wallet that can grant this one an allowance;
+  // without one allowance-insufficient is left out of the plan
+  constructor(client, grantor = null, options = {}) {
+    this.client = client;
+    this.grantor = grantor;
+    this.tokenClass = options.tokenClass || config.allowances.tokenClass;
+    this.quantity = options.quantity || config.allowances.quantity;
+    this.destinationChainId = options.destinationChainId ?? client.chainIds?.ethereum ?? 2;
+    // A refusal moves nothing; if the server wrongly accepts, the owner's
+    // tokens go to the configured recipient rather than a sample address
+    this.recipient = options.recipient || config.bridge.recipients.ethereum || CHAIN_PROFILES.ethereum.sampleRecipient;
+    this.testResults = [];
+    this.results = [];
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logEntry = { timestamp, message, type };
+    console.log(`[${timestamp}] ${type.toUpperCase()}: ${message}`);
+    this.testResults.push(logEntry);
+  }
+
+  async runTest(testName, testFunction) {
+    this.log(`Starting test: ${testName}`, 'test');
+    const startTime = Date.now();
+
+    try {
+      const result = await testFunction();
+      const duration = Date.now() - startTime;
+      this.log(`Test passed: ${testName} (${duration}ms)`, 'success');
+      return { success: true, result, duration };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.log(`Test failed: ${testName} - ${error.message} (${duration}ms)`, 'error');
+      return { success: false, error: error.message, duration };
+    }
+  }
+
+  // Remaining bridge allowance of tokenClass that owner has granted this wallet
+  async remainingFrom(owner) {
+    const response = await this.client.checkTokenAllowance(this.tokenClass, this.client.auth.walletAddress, {
+      grantedBy: owner,
+      allowanceType: BRIDGE_ALLOWANCE_TYPE
+    });
+    return remainingAllowance(toAllowanceList(response), { grantedBy: owner, collection: this.tokenClass });
+  }
+
+  // Throws unless attempt was refused cleanly
+  expectCleanRejection(attempt, owner, quantity) {
+    if (!attempt.rejected) {
+      throw new Error(`CRITICAL: bridged ${quantity} ${this.tokenClass} from ${owner} without a sufficient allowance (request ${attempt.bridgeRequestId})`);
+    }
+    const { error, step } = attempt;
+    if (error instanceof SafeModeError) {
+      // Refused before it was sent; the server was never asked
+      throw error;
+    }
+    if (!isCleanRejection(error)) {
+      throw new Error(`${step} did not fail cleanly: ${error.status ?? error.code ?? 'no status'} ${error.message}`);
+    }
+    if (!/allowance/i.test(error.message)) {
+      this.log(`${step} refused with ${error.status} but the error does not mention the allowance: ${error.message}`, 'warning');
+    }
+    this.log(`${step} refused with ${error.status}: ${error.message}`);
+    return { step, status: error.status, message: error.message };
+  }
+
+  async testFetchAllowances() {
+    return await this.runTest('Fetch Allowances', async () => {
+      const response = await this.client.checkTokenAllowance(this.tokenClass);
+      const data = response?.Data ?? response?.data;
+      if (!data) {
+        throw new Error('FetchAllowances returned no Data');
+      }
+
+      const allowances = toAllowanceList(response);
+      const malformed = allowances.filter(allowance =>
+        !allowance.grantedBy || allowance.grantedTo !== this.client.auth.walletAddress || allowance.quantity === undefined);
+      if (malformed.length > 0) {
+        throw new Error(`${malformed.length} allowances are malformed or granted to someone else: ${JSON.stringify(malformed[0])}`);
+      }
+
+      const remaining = remainingAllowance(allowances, { allowanceType: BRIDGE_ALLOWANCE_TYPE });
+      this.log(`${allowances.length} ${this.tokenClass} allowances granted to this wallet, ${formatUnits(remaining)} left to bridge`);
+      return { count: allowances.length, remaining: formatUnits(remaining) };
+    });
+  }
+
+  async testBridgeWithoutAllowance() {
+    return await this.runTest('Bridge Without Allowance', async () => {
+      // A fresh address has granted nobody anything
+      const owner = randomWalletAddress();
+      const attempt = await attemptBridgeFrom(this.client, owner, this.bridgeParams(this.quantity));
+      return this.expectCleanRejection(attempt, owner, this.quantity);
+    });
+  }
+
+  async testBridgeOverAllowance() {
+    return await this.runTest('Bridge Over Allowance', async () => {
+      const owner = this.grantor.auth.walletAddress;
+      await this.grantor.grantAllowance(this.tokenClass, this.client.auth.walletAddress, this.quantity, {
+        allowanceType: BRIDGE_ALLOWANCE_TYPE
+      });
+      const before = await this.remainingFrom(owner);
+      this.log(`${owner} has granted ${formatUnits(before)} ${this.tokenClass}`);
+
+      const quantity = formatUnits(before + parseUnits(this.quantity));
+      const attempt = await attemptBridgeFrom(this.client, owner, this.bridgeParams(quantity));
+      const rejection = this.expectCleanRejection(attempt, owner, quantity);
+
+      // A refused bridge must not eat into the grant
+      const after = await this.remainingFrom(owner);
+      if (after !== before) {
+        throw new Error(`Refused bridge still spent the allowance: ${formatUnits(before)} → ${formatUnits(after)} ${this.tokenClass}`);
+      }
+
+      return { ...rejection, granted: formatUnits(before), attempted: quantity };
+    });
+  }
+
+  bridgeParams(quantity) {
+    return {
+      tokenClass: this.tokenClass,
+      quantity,
+      destinationChainId: this.destinationChainId,
+      recipient: this.recipient
+    };
+  }
+
+  // Ordered list of { id, name, endpoint, run }
+  getTestPlan(options = {}) {
+    const tests = [
+      { id: 'allowance-fetch', name: 'Fetch Allowances', endpoint: 'POST /galachain/api/asset/token-contract/FetchAllowances', run: () => this.testFetchAllowances() },
+      { id: 'allowance-none', name: 'Bridge Without Allowance', endpoint: 'POST /v1/connect/bridge/request', run: () => this.testBridgeWithoutAllowance() }
+    ];
+    if (this.grantor) {
+      tests.push({ id: 'allowance-insufficient', name: 'Bridge Over Allowance', endpoint: 'POST /v1/connect/bridge/request', run: () => this.testBridgeOverAllowance() });
+    }
+
+    return options.filter ? tests.filter(test => options.filter(test.id)) : tests;
+  }
+
+  async runAllTests(options = {}) {
+    this.log('Starting token allowance tests', 'test');
+
+    const results = [];
+    for (const test of this.getTestPlan(options)) {
+      const result = await test.run();
+      results.push({ id: test.id, name: test.name, ...result });
+      recordTestOutcome('allowances', test.id, result.success, result.duration);
+    }
+
+    const summary = {
+      total: results.length,
+      passed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+    this.results = results;
+
+    this.log(`Allowance Summary: ${summary.passed}/${summary.total} passed`,
+      summary.failed === 0 ? 'success' : 'warning');
+
+    return summary;
+  }
+}
+
+// Allowance suite behind `bridgeguard allowances`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runAllowanceTests(options = {}) {
+  try {
+    validateConfig();
+
+    const clientOptions = { signingScheme: config.wallet.signingScheme, environment: config.environment };
+    const client = new GalaBridgeClient(config.wallet.privateKey, config.wallet.publicKey, config.wallet.address, clientOptions);
+    const grantor = config.allowances.grantorPrivateKey
+      ? new GalaBridgeClient(config.allowances.grantorPrivateKey, null, null, clientOptions)
+      : null;
+
+    const tester = new AllowanceTester(client, grantor);
+    console.log(`🔑 Allowances under test: ${tester.quantity} ${tester.tokenClass} bridged to chain ${tester.destinationChainId}`);
+    if (!grantor) {
+      console.log('⚠️  allowance-insufficient skipped (set ALLOWANCE_GRANTOR_PRIVATE_KEY to a second wallet)');
+    }
+
+    if (options.dryRun) {
+      const plan = tester.getTestPlan({ filter: options.filter }).map(({ id, name }) => ({ id, name }));
+      console.log('\n📝 Dry run - allowance tests that would run:');
+      plan.forEach(test => console.log(`  • ${test.id} (${test.name})`));
+      return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, plan } };
+    }
+
+    const summary = await tester.runAllTests({ filter: options.filter });
+
+    console.log(`\n📊 Allowance Results: ${summary.passed}/${summary.total} passed`);
+    summary.results
+      .filter(r => !r.success)
+      .forEach(result => console.log(`  • ${result.id}: ${result.error}`));
+
+    return {
+      exitCode: summary.failed > 0 ? EXIT_CODES.TEST_FAILURES : EXIT_CODES.SUCCESS,
+      report: { summary, suites: [{ name: 'allowances', kind: 'functional', results: summary.results }] }
+    };
+  } catch (error) {
+    console.error(`\n💥 Allowance suite failed: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+}
@@ -0,0 +1,45 @@
+import { parseUnits } from './balance-reconciler.js';
+
+// GalaChain token allowances: what FetchAllowances returns and how much of a
+// grant is left to spend. Shared by the client's callers and the mock server.
+
+// GalaChain's AllowanceType enum, sent and returned as the numeric value
+export const ALLOWANCE_TYPES = {
+  Use: 0,
+  Lock: 1,
+  Spend: 2,
+  Transfer: 3,
+  Mint: 4,
+  Swap: 5,
+  Burn: 6
+};
+
+// Bridging someone else's tokens out moves them off their wallet, which
+// GalaChain authorises with a Transfer allowance
+export const BRIDGE_ALLOWANCE_TYPE = ALLOWANCE_TYPES.Transfer;
+
+// FetchAllowances answers { Data: { results, nextPageBookmark } }; a bare
+// list in Data is accepted too
+export function toAllowanceList(response) {
+  const data = response?.Data ?? response?.data;
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+// Units left on one grant: nothing once it has expired or its uses are spent
+export function allowanceRemaining(allowance, now = Date.now()) {
+  const expires = Number(allowance.expires || 0);
+  if (expires > 0 && expires <= now) return 0n;
+  if (allowance.uses !== undefined && Number(allowance.usesSpent || 0) >= Number(allowance.uses)) return 0n;
+
+  const left = parseUnits(allowance.quantity) - parseUnits(allowance.quantitySpent || '0');
+  return left > 0n ? left : 0n;
+}
+
+// Sum of what the matching grants still allow; filter fields left undefined match anything
+export function remainingAllowance(allowances, filter = {}, now = Date.now()) {
+  return allowances
+    .filter(allowance => ['grantedBy', 'grantedTo', 'collection'].every(key => filter[key] === undefined || allowance[key] === filter[key]))
+    .filter(allowance => filter.allowanceType === undefined || Number(allowance.allowanceType) === filter.allowanceType)
+    .reduce((total, allowance) => total + allowanceRemaining(allowance, now), 0n);
+}
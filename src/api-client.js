@@ -1,23 +1,85 @@
 import fetch from 'node-fetch';
 import { GalaAuth } from './auth.js';
+import { loadEnvironment } from './environments.js';
+import { config } from './config.js';
+import { ApiError, RateLimitError, errorFromResponse } from './errors.js';
+import { getSharedLimiter, backoffDelay } from './rate-limiter.js';
+import { ALLOWANCE_TYPES } from './allowances.js';
+import { getRunSafeMode } from './safe-mode.js';
+import { getRunCassette } from './cassette.js';
+import { requestDuration, requestsTotal, bridgeFee, endpointLabel } from './metrics.js';
+
+// A Retry-After longer than this is treated as "give up", not "wait"
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Error bodies are not always JSON (proxies, HTML error pages)
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
 
 export class GalaBridgeClient {
-  constructor(privateKey, publicKey, walletAddress) {
-    this.baseUrl = 'https://dex-backend-prod1.defi.gala.com';
-    this.auth = new GalaAuth(privateKey, publicKey, walletAddress);
-    this.rateLimitDelay = 500; // 500ms between requests to respect rate limits
+  constructor(privateKey, publicKey, walletAddress, options = {}) {
+    const environment = options.environment || loadEnvironment('prod');
+    this.environment = environment;
+    this.baseUrl = options.baseUrl || environment.apiBaseUrl;
+    // Swaps live on the GalaSwap host; an explicit baseUrl (the mock) serves both
+    this.swapBaseUrl = options.swapBaseUrl || (options.baseUrl ? this.baseUrl : environment.swapBaseUrl) || this.baseUrl;
+    this.chainIds = environment.chainIds;
+    this.auth = new GalaAuth(privateKey, publicKey, walletAddress, {
+      signingScheme: options.signingScheme
+    });
+
+    const { testing } = config;
+    this.rateLimitDelay = options.rateLimitDelay ?? testing.rateLimitDelay; // ms per request, shared per host
+    this.rateLimitBurst = options.rateLimitBurst ?? testing.rateLimitBurst;
+    this.limiter = options.limiter || null;
+    // Shared by every client in the run unless one is passed in
+    this.safeMode = options.safeMode || getRunSafeMode();
+    // Records or replays every request when the run has a cassette (--record, --replay)
+    this.cassette = options.cassette === undefined ? getRunCassette() : options.cassette;
+    this.timeoutMs = options.timeoutMs ?? testing.requestTimeoutMs;
+    this.retry = {
+      maxRetries: options.maxRetries ?? testing.maxRetries,
+      baseDelayMs: options.retryBaseDelayMs ?? testing.retryBaseDelayMs,
+      maxDelayMs: options.retryMaxDelayMs ?? testing.retryMaxDelayMs
+    };
   }
 
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async makeRequest(endpoint, method = 'GET', data = null) {
-    await this.delay(this.rateLimitDelay);
-    
-    const url = `${this.baseUrl}${endpoint}`;
-    const options = {
+  // An injected limiter covers every host; otherwise each host has its own shared bucket
+  getLimiter(baseUrl = this.baseUrl) {
+    if (this.limiter) return this.limiter;
+    return getSharedLimiter(baseUrl, {
+      capacity: this.rateLimitBurst,
+      refillIntervalMs: this.rateLimitDelay
+    });
+  }
+
+  // requestOptions: { retries, timeoutMs, throttle, baseUrl, quote }. Security
+  // tests that probe the server's own limits pass { retries: 0, throttle: false }.
+  // quote marks a bridge/request as a fee quote for safe mode; it is never sent.
+  async makeRequest(endpoint, method = 'GET', data = null, requestOptions = {}) {
+    return await this.sendPrepared(this.prepareRequest(endpoint, method, data, requestOptions), requestOptions);
+  }
+
+  // The request makeRequest would send, signed but not sent:
+  // { endpoint, method, baseUrl, quote, data, headers, body }. body is the
+  // exact text the signature covers, so replay tests can resend it unchanged.
+  prepareRequest(endpoint, method = 'GET', data = null, { baseUrl = this.baseUrl, quote = false } = {}) {
+    const request = {
+      endpoint,
       method,
+      baseUrl,
+      quote,
+      data,
       headers: {
         'Content-Type': 'application/json'
       }
@@ -25,28 +87,120 @@ export class GalaBridgeClient {
 
     if (data) {
       const requestBody = this.auth.prepareRequestBody(data);
-      options.body = JSON.stringify(requestBody);
-      options.headers = {
-        ...options.headers,
+      request.body = JSON.stringify(requestBody);
+      request.headers = {
+        ...request.headers,
         ...this.auth.getAuthHeaders(requestBody)
       };
     }
+    return request;
+  }
 
-    try {
-      const response = await fetch(url, options);
-      const result = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} - ${JSON.stringify(result)}`);
+  // Sends a prepared request as it is; see makeRequest for requestOptions.
+  // Throws SafeModeError, without sending, for a value-moving request the
+  // run is not armed for. A replayed request sends nothing, so it is neither
+  // guarded nor throttled, and its retries do not wait.
+  async sendPrepared(request, requestOptions = {}) {
+    const {
+      retries = this.retry.maxRetries,
+      timeoutMs = this.timeoutMs,
+      throttle = true
+    } = requestOptions;
+    const { endpoint, method, baseUrl = this.baseUrl, data = null, quote = false } = request;
+
+    const replaying = Boolean(this.cassette?.replaying);
+    if (!replaying) {
+      this.safeMode.authorize({ method, endpoint, baseUrl, data, quote, walletAddress: this.auth.walletAddress });
+    }
+
+    const url = `${baseUrl}${endpoint}`;
+    const options = { method, headers: request.headers, body: request.body };
+
+    // The body is signed once, so a retry resends the same bytes and the
+    // server's uniqueKey check stops a retried POST from running twice
+    for (let attempt = 0; ; attempt++) {
+      if (throttle && !replaying) {
+        await this.getLimiter(baseUrl).take();
+      }
+
+      try {
+        return await this.send(url, options, timeoutMs, { endpoint, method });
+      } catch (error) {
+        const retryAfterMs = error instanceof RateLimitError ? error.retryAfterMs : null;
+        const canRetry = error instanceof ApiError && error.retryable && attempt < retries
+          && (retryAfterMs === null || retryAfterMs <= MAX_RETRY_AFTER_MS);
+
+        if (!canRetry) {
+          console.error(`Request failed for ${endpoint}:`, error.message);
+          throw error;
+        }
+
+        const waitMs = retryAfterMs ?? backoffDelay(attempt, this.retry);
+        if (replaying) {
+          continue;
+        }
+        if (retryAfterMs !== null) {
+          this.getLimiter(baseUrl).pause(waitMs);
+        }
+        console.warn(`⏳ ${method} ${endpoint}: ${error.status ?? error.code}, retry ${attempt + 1}/${retries} in ${waitMs}ms`);
+        await this.delay(waitMs);
+      }
+    }
+  }
+
+  async send(url, options, timeoutMs, context) {
+    const request = { ...context, url, headers: options.headers, body: options.body };
+    const identity = { walletAddress: this.auth.walletAddress, publicKey: this.auth.publicKey };
+
+    const startedAt = Date.now();
+    const exchange = this.cassette?.replaying
+      ? this.cassette.replay(request, identity)
+      : await this.exchange(url, options, timeoutMs);
+    if (this.cassette && !this.cassette.replaying) {
+      this.cassette.record(request, exchange, identity);
+    }
+
+    if (exchange.error) {
+      const { message, code, timedOut } = exchange.error;
+      this.observe(context, timedOut ? 'timeout' : 'network_error', startedAt);
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${timeoutMs}ms`, { ...context, code: 'ETIMEDOUT' });
       }
-      
-      return result;
+      throw new ApiError(`Network error: ${message}`, { ...context, code });
+    }
+    this.observe(context, exchange.status, startedAt);
+
+    const body = parseBody(exchange.text);
+    if (exchange.status < 200 || exchange.status >= 300) {
+      throw errorFromResponse(exchange.status, body, { ...context, retryAfter: exchange.headers['retry-after'] ?? null });
+    }
+
+    return body;
+  }
+
+  // One live round trip as plain data, the shape a cassette stores:
+  // { status, headers, text } or { error: { message, code, timedOut } }
+  async exchange(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      const text = await response.text();
+      return { status: response.status, headers: Object.fromEntries(response.headers), text };
     } catch (error) {
-      console.error(`Request failed for ${endpoint}:`, error.message);
-      throw error;
+      return { error: { message: error.message, code: error.code || null, timedOut: error.name === 'AbortError' } };
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  observe({ endpoint, method }, status, startedAt) {
+    const labels = { method, endpoint: endpointLabel(endpoint) };
+    requestDuration.observe(labels, (Date.now() - startedAt) / 1000);
+    requestsTotal.inc({ ...labels, status });
+  }
+
   // Token Balance Operations  
   async getTokenBalance(tokenClass, tokenInstance = '0') {
     const data = {
@@ -75,7 +229,11 @@ export class GalaBridgeClient {
     return await this.makeRequest(endpoint);
   }
 
-  async requestBridge(walletAddress, destinationChainId, recipient, quantity, token) {
+  // options.quoteOnly says the caller only wants the fee and will not follow
+  // up with RequestTokenBridgeOut. It is client-side state for safe mode and
+  // is never sent; to the server every bridge/request looks the same.
+  // options.from bridges another wallet's tokens under an allowance it granted
+  async requestBridge(walletAddress, destinationChainId, recipient, quantity, token, options = {}) {
     const data = {
       walletAddress,
       destinationChainId,
@@ -83,7 +241,19 @@ export class GalaBridgeClient {
       quantity,
       token
     };
-    return await this.makeRequest('/v1/connect/bridge/request', 'POST', data);
+    if (options.from) {
+      data.from = options.from;
+    }
+    const quote = await this.makeRequest('/v1/connect/bridge/request', 'POST', data, { quote: Boolean(options.quoteOnly) });
+
+    if (quote?.data?.fee !== undefined) {
+      bridgeFee.set({
+        token: token?.collection ?? 'unknown',
+        fee_token: quote.data.feeToken ?? 'unknown',
+        destination_chain: destinationChainId
+      }, Number(quote.data.fee));
+    }
+    return quote;
   }
 
   async requestTokenBridgeOut(bridgeRequestData) {
@@ -104,28 +274,39 @@ export class GalaBridgeClient {
     return await this.makeRequest('/v1/connect/bridge/status', 'POST', data);
   }
 
-  // Swap Operations (for testing bridge functionality)
+  // Bridge-in: hash is the deposit transaction on the source chain; status
+  // becomes terminal once the tokens are minted on GalaChain
+  async getBridgeInStatus(hash, sourceChainId) {
+    const data = { hash, chainId: sourceChainId };
+    return await this.makeRequest('/v1/connect/bridge/status', 'POST', data);
+  }
+
+  // Swap Operations (GalaSwap host, see swapBaseUrl)
   async getAvailableSwaps() {
-    return await this.makeRequest('/api/swap/available');
+    return await this.makeRequest('/api/swap/available', 'GET', null, { baseUrl: this.swapBaseUrl });
   }
 
-  async createSwap(offered, wanted, uses) {
+  // options.expires: ms timestamp after which the swap can no longer be accepted
+  async createSwap(offered, wanted, uses, options = {}) {
     const data = {
       offered,
       wanted,
       uses: uses.toString()
     };
-    return await this.makeRequest('/api/swap/create', 'POST', data);
+    if (options.expires) {
+      data.expires = options.expires;
+    }
+    return await this.makeRequest('/api/swap/create', 'POST', data, { baseUrl: this.swapBaseUrl });
   }
 
   async acceptSwap(swapId) {
     const data = { swapId };
-    return await this.makeRequest('/api/swap/accept', 'POST', data);
+    return await this.makeRequest('/api/swap/accept', 'POST', data, { baseUrl: this.swapBaseUrl });
   }
 
   async cancelSwap(swapId) {
     const data = { swapId };
-    return await this.makeRequest('/api/swap/cancel', 'POST', data);
+    return await this.makeRequest('/api/swap/cancel', 'POST', data, { baseUrl: this.swapBaseUrl });
   }
 
   // Wallet Operations
@@ -144,10 +325,45 @@ export class GalaBridgeClient {
     }
   }
 
-  async checkTokenAllowance(tokenClass, spenderAddress) {
-    // Token allowance checking would be done through GalaChain token contract
-    // This is a placeholder for the actual implementation
-    console.log(`Token allowance check requested for ${tokenClass} and spender ${spenderAddress}`);
-    throw new Error('Token allowance checking not yet implemented for GalaConnect API');
+  // Allowance Operations (GalaChain token contract)
+
+  // Grants of tokenClass to spenderAddress (default: this wallet). options:
+  // { grantedBy, allowanceType } narrow the query; see allowances.js for the
+  // response shape and remainingAllowance() to total it
+  async checkTokenAllowance(tokenClass, spenderAddress = this.auth.walletAddress, options = {}) {
+    const data = {
+      grantedTo: spenderAddress,
+      collection: tokenClass,
+      category: 'Unit',
+      type: 'none',
+      additionalKey: 'none',
+      instance: '0'
+    };
+    if (options.grantedBy) {
+      data.grantedBy = options.grantedBy;
+    }
+    if (options.allowanceType !== undefined) {
+      data.allowanceType = options.allowanceType;
+    }
+    return await this.makeRequest('/galachain/api/asset/token-contract/FetchAllowances', 'POST', data);
+  }
+
+  // Lets spenderAddress spend up to quantity of this wallet's tokenClass.
+  // options: { allowanceType (default Transfer), uses, expires (ms, 0 = never) }
+  async grantAllowance(tokenClass, spenderAddress, quantity, options = {}) {
+    const data = {
+      tokenInstance: {
+        collection: tokenClass,
+        category: 'Unit',
+        type: 'none',
+        additionalKey: 'none',
+        instance: '0'
+      },
+      allowanceType: options.allowanceType ?? ALLOWANCE_TYPES.Transfer,
+      quantities: [{ user: spenderAddress, quantity: String(quantity) }],
+      uses: String(options.uses ?? 1),
+      expires: options.expires ?? 0
+    };
+    return await this.makeRequest('/galachain/api/asset/token-contract/GrantAllowance', 'POST', data);
   }
 }
\ No newline at end of file
@@ -1,11 +1,226 @@
 import crypto from 'crypto';
 import secp256k1 from 'secp256k1';
+import jsSha3 from 'js-sha3';
+
+const { keccak256 } = jsSha3;
+
+// How a request body is turned into a signature.
+// galachain:     keccak256 over canonical JSON, 65-byte r||s||v (v = 27 + recovery id)
+// galachain-der: keccak256 over canonical JSON, DER-encoded r,s
+// legacy:        sha256 over JSON.stringify, 64-byte r||s (the original BridgeGuard scheme)
+export const SIGNING_SCHEMES = {
+  galachain: { hash: 'keccak256', canonical: true, encoding: 'rsv' },
+  'galachain-der': { hash: 'keccak256', canonical: true, encoding: 'der' },
+  legacy: { hash: 'sha256', canonical: false, encoding: 'compact' }
+};
+
+export const DEFAULT_SIGNING_SCHEME = 'galachain';
+
+// GalaChain leaves these fields out of the signed payload
+const UNSIGNED_FIELDS = ['signature', 'trace'];
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        if (value[key] !== undefined) {
+          sorted[key] = sortKeys(value[key]);
+        }
+        return sorted;
+      }, {});
+  }
+  return value;
+}
+
+// EIP-55 mixed-case checksum for a 20-byte hex address (with or without 0x)
+export function toChecksumAddress(address) {
+  const hex = address.replace(/^0x/i, '').toLowerCase();
+  const hash = keccak256(hex);
+  return '0x' + [...hex]
+    .map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char))
+    .join('');
+}
 
 export class GalaAuth {
-  constructor(privateKey, publicKey, walletAddress) {
-    this.privateKey = privateKey;
-    this.publicKey = publicKey;
-    this.walletAddress = walletAddress;
+  // publicKey and walletAddress are derived from the private key when omitted
+  constructor(privateKey, publicKey, walletAddress, options = {}) {
+    this.privateKey = typeof privateKey === 'string' ? privateKey.replace(/^0x/, '') : privateKey;
+    this.publicKey = publicKey || GalaAuth.tryDerive(() => GalaAuth.derivePublicKey(this.privateKey));
+    this.walletAddress = walletAddress || GalaAuth.tryDerive(() => GalaAuth.deriveWalletAddress(this.privateKey));
+    this.signingScheme = options.signingScheme || DEFAULT_SIGNING_SCHEME;
+    GalaAuth.getScheme(this.signingScheme);
+  }
+
+  static tryDerive(derive) {
+    try {
+      return derive();
+    } catch {
+      return null;
+    }
+  }
+
+  // Compressed (33-byte) public key as hex
+  static derivePublicKey(privateKey) {
+    const key = Buffer.from(privateKey.replace(/^0x/, ''), 'hex');
+    if (key.length !== 32 || !secp256k1.privateKeyVerify(key)) {
+      throw new Error('Private key is not a valid 32-byte secp256k1 key');
+    }
+    return Buffer.from(secp256k1.publicKeyCreate(key, true)).toString('hex');
+  }
+
+  // Ethereum address (EIP-55) of a compressed or uncompressed public key
+  static deriveEthAddress(publicKey) {
+    const uncompressed = secp256k1.publicKeyConvert(Buffer.from(publicKey, 'hex'), false);
+    const hash = keccak256(uncompressed.subarray(1));
+    return toChecksumAddress(hash.slice(-40));
+  }
+
+  // GalaChain eth| alias: the checksummed Ethereum address without 0x.
+  // client| aliases are assigned at registration and cannot be derived.
+  static deriveWalletAddress(privateKey) {
+    const ethAddress = GalaAuth.deriveEthAddress(GalaAuth.derivePublicKey(privateKey));
+    return `eth|${ethAddress.slice(2)}`;
+  }
+
+  // Returns a list of problems with a private key / public key / address triple
+  static checkKeyTriple(privateKey, publicKey, walletAddress) {
+    let derivedPublicKey;
+    try {
+      derivedPublicKey = GalaAuth.derivePublicKey(privateKey);
+    } catch (error) {
+      return [`PRIVATE_KEY: ${error.message}`];
+    }
+
+    const problems = [];
+
+    if (publicKey) {
+      let compressed = null;
+      try {
+        compressed = Buffer.from(secp256k1.publicKeyConvert(Buffer.from(publicKey, 'hex'), true)).toString('hex');
+      } catch {
+        problems.push('PUBLIC_KEY is not a valid secp256k1 public key');
+      }
+      if (compressed && compressed !== derivedPublicKey) {
+        problems.push(`PUBLIC_KEY does not belong to PRIVATE_KEY (expected ${derivedPublicKey})`);
+      }
+    }
+
+    if (walletAddress) {
+      const expected = GalaAuth.deriveWalletAddress(privateKey);
+      if (walletAddress.startsWith('eth|')) {
+        if (walletAddress.toLowerCase() !== expected.toLowerCase()) {
+          problems.push(`WALLET_ADDRESS does not belong to PRIVATE_KEY (expected ${expected})`);
+        }
+      } else if (!walletAddress.startsWith('client|')) {
+        problems.push(`WALLET_ADDRESS must be an eth| or client| alias (derived: ${expected})`);
+      }
+    }
+
+    return problems;
+  }
+
+  static getScheme(name) {
+    const scheme = SIGNING_SCHEMES[name];
+    if (!scheme) {
+      throw new Error(`Unknown signing scheme: ${name} (expected ${Object.keys(SIGNING_SCHEMES).join(', ')})`);
+    }
+    return scheme;
+  }
+
+  // Guesses the scheme from the signature encoding, for servers that
+  // accept more than one
+  static detectScheme(signature) {
+    if (typeof signature !== 'string') return null;
+    if (/^[0-9a-f]{128}$/.test(signature)) return 'legacy';
+    if (/^[0-9a-f]{130}$/.test(signature)) return 'galachain';
+    if (/^30[0-9a-f]+$/.test(signature)) return 'galachain-der';
+    return null;
+  }
+
+  static canonicalize(requestBody) {
+    const payload = { ...requestBody };
+    for (const field of UNSIGNED_FIELDS) {
+      delete payload[field];
+    }
+    return JSON.stringify(sortKeys(payload));
+  }
+
+  static serializeMessage(requestBody, schemeName = 'legacy') {
+    if (typeof requestBody === 'string') return requestBody;
+    return GalaAuth.getScheme(schemeName).canonical
+      ? GalaAuth.canonicalize(requestBody)
+      : JSON.stringify(requestBody);
+  }
+
+  static hashMessage(requestBody, schemeName = 'legacy') {
+    const message = GalaAuth.serializeMessage(requestBody, schemeName);
+
+    if (GalaAuth.getScheme(schemeName).hash === 'keccak256') {
+      return Buffer.from(keccak256.arrayBuffer(message));
+    }
+    return crypto.createHash('sha256').update(message).digest();
+  }
+
+  static encodeSignature(compact, recid, schemeName) {
+    const { encoding } = GalaAuth.getScheme(schemeName);
+
+    if (encoding === 'rsv') {
+      return Buffer.concat([Buffer.from(compact), Buffer.from([27 + recid])]).toString('hex');
+    }
+    if (encoding === 'der') {
+      return Buffer.from(secp256k1.signatureExport(compact)).toString('hex');
+    }
+    return Buffer.from(compact).toString('hex');
+  }
+
+  // Returns { compact, recid } or null. recid is only known for rsv.
+  static decodeSignature(signature, schemeName) {
+    const { encoding } = GalaAuth.getScheme(schemeName);
+
+    if (typeof signature !== 'string' || !/^[0-9a-f]+$/.test(signature)) return null;
+    const bytes = Buffer.from(signature, 'hex');
+
+    if (encoding === 'rsv') {
+      if (bytes.length !== 65 || (bytes[64] !== 27 && bytes[64] !== 28)) return null;
+      return { compact: bytes.subarray(0, 64), recid: bytes[64] - 27 };
+    }
+    if (encoding === 'der') {
+      const compact = Buffer.from(secp256k1.signatureImport(bytes));
+      // Reject lax DER that only parses: it has to re-encode byte-for-byte
+      if (Buffer.from(secp256k1.signatureExport(compact)).toString('hex') !== signature) return null;
+      return { compact, recid: null };
+    }
+    if (bytes.length !== 64) return null;
+    return { compact: bytes, recid: null };
+  }
+
+  // Verifies a hex signature exactly as signRequest produced it. Only the
+  // canonical encoding of the chosen scheme is accepted, always with low S.
+  static verifySignature(signature, requestBody, publicKey, schemeName = 'legacy') {
+    try {
+      if (typeof publicKey !== 'string' || !/^[0-9a-fA-F]+$/.test(publicKey)) return false;
+
+      const decoded = GalaAuth.decodeSignature(signature, schemeName);
+      if (!decoded) return false;
+
+      const messageHash = GalaAuth.hashMessage(requestBody, schemeName);
+      const signerKey = secp256k1.publicKeyConvert(Buffer.from(publicKey, 'hex'), true);
+
+      if (!secp256k1.ecdsaVerify(decoded.compact, messageHash, signerKey)) return false;
+
+      // The recovery byte has to point back at the same key
+      if (decoded.recid !== null) {
+        const recovered = secp256k1.ecdsaRecover(decoded.compact, decoded.recid, messageHash, true);
+        return Buffer.from(recovered).equals(Buffer.from(signerKey));
+      }
+      return true;
+    } catch {
+      return false;
+    }
   }
 
   generateUniqueKey() {
@@ -13,20 +228,20 @@ export class GalaAuth {
   }
 
   signRequest(requestBody) {
-    const message = typeof requestBody === 'string' 
-      ? requestBody 
-      : JSON.stringify(requestBody);
-    
-    const messageHash = crypto.createHash('sha256').update(message).digest();
-    
-    const signature = secp256k1.ecdsaSign(messageHash, Buffer.from(this.privateKey, 'hex'));
-    
-    return Buffer.from(signature.signature).toString('hex');
+    const messageHash = GalaAuth.hashMessage(requestBody, this.signingScheme);
+
+    const { signature, recid } = secp256k1.ecdsaSign(messageHash, Buffer.from(this.privateKey, 'hex'));
+
+    return GalaAuth.encodeSignature(signature, recid, this.signingScheme);
+  }
+
+  verifySignature(signature, requestBody) {
+    return GalaAuth.verifySignature(signature, requestBody, this.publicKey, this.signingScheme);
   }
 
   getAuthHeaders(requestBody) {
     const signature = this.signRequest(requestBody);
-    
+
     return {
       'X-Wallet-Address': this.walletAddress,
       'Content-Type': 'application/json',
@@ -41,4 +256,4 @@ export class GalaAuth {
       uniqueKey: this.generateUniqueKey()
     };
   }
-}
\ No newline at end of file
+}
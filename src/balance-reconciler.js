@@ -0,0 +1,113 @@
+// Before/after balance reconciliation for bridge operations.
+// Amounts are handled as fixed-point BigInts so fee maths never drifts.
+
+const SCALE = 18;
+const SCALE_FACTOR = 10n ** BigInt(SCALE);
+
+export function parseUnits(value) {
+  const text = String(value ?? '0').trim();
+  const match = /^(-)?(\d*)(?:\.(\d+))?$/.exec(text);
+  if (!match || (match[2] === '' && match[3] === undefined)) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > SCALE) {
+    throw new Error(`Too many decimal places in amount: ${value}`);
+  }
+  const units = BigInt(whole || '0') * SCALE_FACTOR + BigInt(fraction.padEnd(SCALE, '0'));
+  return sign ? -units : units;
+}
+
+export function formatUnits(units) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const whole = abs / SCALE_FACTOR;
+  const fraction = (abs % SCALE_FACTOR).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function sumHolds(holds) {
+  return (holds || []).reduce((total, hold) => total + parseUnits(hold.quantity), 0n);
+}
+
+export class BalanceReconciler {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Reduces a FetchBalances response to { quantity, locked, inUse, available } in units
+  static summarize(response, tokenClass) {
+    const entries = response?.Data ?? response?.data ?? [];
+    const matching = (Array.isArray(entries) ? entries : [entries])
+      .filter(entry => entry && (!entry.collection || entry.collection === tokenClass));
+
+    const quantity = matching.reduce((total, entry) => total + parseUnits(entry.quantity), 0n);
+    const locked = matching.reduce((total, entry) => total + sumHolds(entry.lockedHolds), 0n);
+    const inUse = matching.reduce((total, entry) => total + sumHolds(entry.inUseHolds), 0n);
+
+    return { quantity, locked, inUse, available: quantity - locked - inUse };
+  }
+
+  async snapshot(tokenClasses) {
+    const balances = {};
+    for (const tokenClass of new Set(tokenClasses)) {
+      const response = await this.client.getTokenBalance(tokenClass);
+      balances[tokenClass] = BalanceReconciler.summarize(response, tokenClass);
+    }
+    return { timestamp: new Date().toISOString(), balances };
+  }
+
+  // Expected available-balance drop per token for a bridge-out. The fee
+  // only comes out of the bridged token when the fee token matches it.
+  static expectBridgeOut({ tokenClass, quantity, fee = '0', feeToken }) {
+    const expected = { [tokenClass]: parseUnits(quantity) };
+    if (feeToken) {
+      expected[feeToken] = (expected[feeToken] || 0n) + parseUnits(fee);
+    }
+    return expected;
+  }
+
+  // Compares two snapshots against expected drops. Only the available
+  // balance has to move by the expected amount: a bridge may burn tokens
+  // or park them in a locked/in-use hold while the transfer finalizes.
+  static reconcile(before, after, expectedDrops = {}) {
+    const tokens = new Set([
+      ...Object.keys(expectedDrops),
+      ...Object.keys(before.balances),
+      ...Object.keys(after.balances)
+    ]);
+    const diffs = [];
+    const changes = {};
+
+    for (const token of tokens) {
+      const start = before.balances[token];
+      const end = after.balances[token];
+      if (!start || !end) {
+        diffs.push({ token, field: 'available', reason: 'missing snapshot' });
+        continue;
+      }
+
+      const expectedChange = -(expectedDrops[token] || 0n);
+      changes[token] = {};
+
+      for (const field of ['quantity', 'locked', 'inUse', 'available']) {
+        changes[token][field] = formatUnits(end[field] - start[field]);
+      }
+
+      const actualChange = end.available - start.available;
+      if (actualChange !== expectedChange) {
+        diffs.push({
+          token,
+          field: 'available',
+          before: formatUnits(start.available),
+          after: formatUnits(end.available),
+          expectedChange: formatUnits(expectedChange),
+          actualChange: formatUnits(actualChange),
+          difference: formatUnits(actualChange - expectedChange)
+        });
+      }
+    }
+
+    return { balanced: diffs.length === 0, diffs, changes };
+  }
+}
@@ -0,0 +1,177 @@
+// Drives a bridge-out from quote to a terminal status and records every
+// state change along the way:
+// requestBridge -> RequestTokenBridgeOut -> BridgeTokenOut -> poll bridge/status
+// BridgeInRunner follows an inbound transfer from its source-chain hash.
+
+import { timeToFinality } from './metrics.js';
+
+export const TERMINAL_SUCCESS_STATES = ['completed', 'delivered', 'confirmed', 'success'];
+export const TERMINAL_FAILURE_STATES = ['failed', 'rejected', 'cancelled', 'expired', 'error'];
+
+const DEFAULT_OPTIONS = {
+  pollInitialDelayMs: 1000,
+  pollMaxDelayMs: 15000,
+  pollBackoffFactor: 2,
+  timeoutMs: 10 * 60 * 1000
+};
+
+export class BridgeLifecycleRunner {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timeline = [];
+    this.startedAt = null;
+    this.submittedAt = null;
+  }
+
+  record(state, detail = {}) {
+    const now = Date.now();
+    const entry = {
+      state,
+      timestamp: new Date(now).toISOString(),
+      elapsedMs: this.startedAt ? now - this.startedAt : 0,
+      ...detail
+    };
+    this.timeline.push(entry);
+    return entry;
+  }
+
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Returns { verdict: 'pass' | 'fail' | 'timeout', reason, hash, timeline, ... }
+  async run({ token, quantity, recipient, destinationChainId = 2 }) {
+    this.timeline = [];
+    this.startedAt = Date.now();
+    this.submittedAt = null;
+    this.record('started', { destinationChainId, recipient, quantity: String(quantity) });
+
+    let quote, bridgeOut, submission;
+    let step = 'requestBridge';
+    try {
+      quote = await this.client.requestBridge(
+        this.client.auth.walletAddress,
+        destinationChainId,
+        recipient,
+        String(quantity),
+        token
+      );
+      if (!quote?.data) {
+        return this.finish('fail', 'Bridge request returned no data');
+      }
+      this.record('quoted', { fee: quote.data.fee, feeToken: quote.data.feeToken });
+
+      step = 'RequestTokenBridgeOut';
+      bridgeOut = await this.client.requestTokenBridgeOut(quote.data.dto || quote.data);
+      const { bridgeRequestId, bridgeFromChannel } = bridgeOut?.data || {};
+      if (!bridgeRequestId) {
+        return this.finish('fail', 'RequestTokenBridgeOut returned no bridgeRequestId');
+      }
+      this.record('bridge_out_requested', { bridgeRequestId, bridgeFromChannel });
+
+      step = 'BridgeTokenOut';
+      const signature = this.client.auth.signRequest({ bridgeFromChannel, bridgeRequestId });
+      submission = await this.client.bridgeTokenOut(bridgeFromChannel, bridgeRequestId, signature);
+      if (!submission?.data?.hash) {
+        return this.finish('fail', 'BridgeTokenOut returned no transaction hash');
+      }
+      this.submittedAt = Date.now();
+      this.record('submitted', { hash: submission.data.hash });
+    } catch (error) {
+      return this.finish('fail', `${step} failed: ${error.message}`);
+    }
+
+    return await this.pollUntilTerminal(submission.data.hash, {
+      token: token?.collection,
+      destinationChainId,
+      fee: quote.data.fee,
+      feeToken: quote.data.feeToken,
+      bridgeRequestId: bridgeOut.data.bridgeRequestId
+    });
+  }
+
+  async fetchStatus(hash) {
+    return await this.client.getBridgeStatus(hash);
+  }
+
+  async pollUntilTerminal(hash, context = {}) {
+    const { pollInitialDelayMs, pollMaxDelayMs, pollBackoffFactor, timeoutMs } = this.options;
+    const deadline = Date.now() + timeoutMs;
+    let delayMs = pollInitialDelayMs;
+    let lastState = null;
+    let polls = 0;
+
+    while (Date.now() < deadline) {
+      await this.delay(Math.min(delayMs, Math.max(0, deadline - Date.now())));
+      delayMs = Math.min(delayMs * pollBackoffFactor, pollMaxDelayMs);
+      polls++;
+
+      let status;
+      try {
+        status = await this.fetchStatus(hash);
+      } catch (error) {
+        // Status endpoints lag behind submission; keep polling until the deadline
+        this.record('status_error', { hash, error: error.message });
+        continue;
+      }
+
+      const state = String(status?.data?.status ?? status?.status ?? 'unknown').toLowerCase();
+      if (state !== lastState) {
+        this.record(state, { hash });
+        lastState = state;
+      }
+
+      if (TERMINAL_SUCCESS_STATES.includes(state)) {
+        const timeToFinalityMs = this.submittedAt ? Date.now() - this.submittedAt : null;
+        if (timeToFinalityMs !== null) {
+          timeToFinality.observe({
+            token: context.token ?? 'unknown',
+            destination_chain: context.destinationChainId ?? 'unknown'
+          }, timeToFinalityMs / 1000);
+        }
+        return this.finish('pass', `Transfer reached ${state}`, { hash, polls, timeToFinalityMs, ...context });
+      }
+      if (TERMINAL_FAILURE_STATES.includes(state)) {
+        return this.finish('fail', `Transfer ended in ${state}`, { hash, polls, ...context });
+      }
+    }
+
+    return this.finish('timeout', `No terminal status after ${timeoutMs}ms (last: ${lastState || 'none'})`, {
+      hash, polls, ...context
+    });
+  }
+
+  finish(verdict, reason, detail = {}) {
+    this.record(verdict, { reason });
+    return {
+      verdict,
+      reason,
+      durationMs: Date.now() - this.startedAt,
+      timeline: this.timeline,
+      ...detail
+    };
+  }
+}
+
+// Bridge-in has nothing to submit on GalaChain: the deposit already happened
+// on the source chain, so the runner only polls its status to a terminal state
+export class BridgeInRunner extends BridgeLifecycleRunner {
+  async fetchStatus(hash) {
+    return await this.client.getBridgeInStatus(hash, this.sourceChainId);
+  }
+
+  // Returns { verdict, reason, hash, timeline, firstState, ... } like run();
+  // firstState tells whether the transfer was already terminal when polling began
+  async run({ hash, sourceChainId, token }) {
+    this.timeline = [];
+    this.startedAt = Date.now();
+    this.submittedAt = null;
+    this.sourceChainId = sourceChainId;
+    this.record('started', { hash, sourceChainId });
+
+    const outcome = await this.pollUntilTerminal(hash, { token, sourceChainId });
+    const firstState = this.timeline.find(entry => !['started', 'status_error'].includes(entry.state))?.state;
+    return { ...outcome, firstState };
+  }
+}
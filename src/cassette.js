@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { CassetteMissError } from './errors.js';
+
+// HTTP cassettes: GalaBridgeClient.send() records every request/response
+// pair into a JSON file, or answers from one without touching the network.
+//
+// A recorded request is matched by method, endpoint and body. Signatures,
+// uniqueKeys and timestamps change on every request, so they are replaced by
+// placeholders before matching; so are the signing wallet's address and
+// public key, which lets a cassette recorded with one wallet replay under
+// another. Any other wallet address (throwaway wallets the security tests
+// create) becomes {{wallet:N}}, numbered in order of first appearance, and
+// is mapped back to whichever address the replaying run has in that place.
+// Identical requests (status polls) replay their responses in recorded order.
+//
+// Nothing secret is written: credential-like headers and body fields are
+// redacted, and the configured private keys are removed wherever they appear.
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+const CASSETTE_VERSION = 1;
+
+const PLACEHOLDERS = {
+  signature: '{{signature}}',
+  uniqueKey: '{{uniqueKey}}',
+  walletAddress: '{{walletAddress}}',
+  publicKey: '{{signerPublicKey}}'
+};
+
+const REDACTED = '[REDACTED]';
+
+// Header and body field names whose values are credentials
+const SECRET_NAMES = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|private[-_]?key|secret|client[-_]?secret|password|mnemonic|seed[-_]?phrase|access[-_]?token|refresh[-_]?token)$/i;
+
+// Body fields that differ on every request even when nothing else does
+const VOLATILE_FIELDS = {
+  signature: PLACEHOLDERS.signature,
+  uniqueKey: PLACEHOLDERS.uniqueKey,
+  timestamp: '{{timestamp}}',
+  expires: '{{expires}}'
+};
+
+// GalaChain user addresses, e.g. eth|9735A33a4A445D0259dF96fd7cEE64282ce545A9
+const WALLET_ADDRESS = /\b(?:eth|client)\|[0-9A-Za-z]+/g;
+const WALLET_ALIAS = /\{\{wallet:(\d+)\}\}/g;
+
+// Private keys this run knows, with and without 0x, longest first
+function knownSecrets() {
+  const keys = [config.wallet.privateKey, config.swaps.counterpartyPrivateKey, config.allowances.grantorPrivateKey]
+    .filter(Boolean)
+    .flatMap(key => [key, key.replace(/^0x/i, '')]);
+  return [...new Set(keys)].filter(key => key.length >= 32).sort((a, b) => b.length - a.length);
+}
+
+function replaceAll(text, search, replacement) {
+  return search ? text.split(search).join(replacement) : text;
+}
+
+// Deep copy with volatile fields normalized and secret fields redacted
+function normalizeValue(value) {
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => {
+    if (VOLATILE_FIELDS[key] && value[key] !== undefined) return [key, VOLATILE_FIELDS[key]];
+    if (SECRET_NAMES.test(key)) return [key, REDACTED];
+    return [key, normalizeValue(value[key])];
+  }));
+}
+
+function matchKey(method, endpoint, body) {
+  return `${method} ${endpoint} ${body ?? ''}`;
+}
+
+export class Cassette {
+  // mode 'record' starts an empty cassette at file; 'replay' loads it
+  constructor(file, mode) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode} (expected ${CASSETTE_MODES.join(' or ')})`);
+    }
+    this.file = file;
+    this.mode = mode;
+    this.interactions = [];
+    this.queues = new Map(); // matchKey -> indexes of interactions not yet replayed
+    this.wallets = new Map(); // address -> {{wallet:N}}, in order of first appearance
+    this.replayed = 0;
+    this.misses = []; // { method, endpoint, body } of requests replay had no answer for
+
+    // Writing the empty cassette up front fails fast on a bad path
+    if (mode === 'replay') {
+      this.load();
+    } else {
+      this.save();
+    }
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read cassette ${this.file}: ${error.message}`);
+    }
+    if (saved.version !== CASSETTE_VERSION || !Array.isArray(saved.interactions)) {
+      throw new Error(`Not a version ${CASSETTE_VERSION} cassette: ${this.file}`);
+    }
+
+    this.interactions = saved.interactions;
+    this.interactions.forEach((interaction, index) => {
+      const { method, endpoint, body } = interaction.request;
+      const key = matchKey(method, endpoint, body);
+      if (!this.queues.has(key)) this.queues.set(key, []);
+      this.queues.get(key).push(index);
+    });
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: CASSETTE_VERSION,
+      recordedAt: this.interactions[0]?.recordedAt ?? new Date().toISOString(),
+      environment: config.environment.name,
+      interactions: this.interactions
+    }, null, 2) + '\n');
+  }
+
+  // identity: { walletAddress, publicKey } of the client sending the request.
+  // learn numbers addresses not seen before; responses only use known ones,
+  // so recording and replaying number the same addresses the same way.
+  scrubText(text, identity, { learn = false } = {}) {
+    let scrubbed = text ?? '';
+    for (const secret of knownSecrets()) {
+      scrubbed = replaceAll(scrubbed, secret, REDACTED);
+    }
+    if (learn) {
+      this.aliasFor(identity.walletAddress);
+      (scrubbed.match(WALLET_ADDRESS) || []).forEach(address => this.aliasFor(address));
+    }
+    scrubbed = replaceAll(scrubbed, identity.publicKey, PLACEHOLDERS.publicKey);
+    scrubbed = replaceAll(scrubbed, identity.walletAddress, PLACEHOLDERS.walletAddress);
+    return scrubbed.replace(WALLET_ADDRESS, address => this.wallets.get(address) ?? address);
+  }
+
+  aliasFor(address) {
+    if (address && !this.wallets.has(address)) {
+      this.wallets.set(address, `{{wallet:${this.wallets.size + 1}}}`);
+    }
+  }
+
+  // The inverse of scrubText for a replayed response
+  restoreText(text, identity) {
+    const addresses = [...this.wallets.keys()];
+    const restored = replaceAll(replaceAll(text ?? '', PLACEHOLDERS.walletAddress, identity.walletAddress || ''), PLACEHOLDERS.publicKey, identity.publicKey || '');
+    return restored.replace(WALLET_ALIAS, (alias, n) => addresses[n - 1] ?? alias);
+  }
+
+  scrubHeaders(headers = {}, identity, options) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+      if (/signature/i.test(name)) return [name, PLACEHOLDERS.signature];
+      if (SECRET_NAMES.test(name)) return [name, REDACTED];
+      return [name, this.scrubText(String(value), identity, options)];
+    }));
+  }
+
+  // Request body as it is matched and stored: normalized JSON text, or the
+  // scrubbed raw text when it is not JSON
+  normalizeBody(body, identity) {
+    if (body === undefined || body === null) return null;
+    const scrubbed = this.scrubText(body, identity, { learn: true });
+    try {
+      return JSON.stringify(normalizeValue(JSON.parse(scrubbed)));
+    } catch {
+      return scrubbed;
+    }
+  }
+
+  // request: { method, url, endpoint, headers, body (text) }
+  // exchange: { status, headers, text } or { error: { message, code, timedOut } }
+  // Saved after every interaction so a run that dies still leaves its cassette.
+  record(request, exchange, identity) {
+    this.interactions.push({
+      recordedAt: new Date().toISOString(),
+      request: {
+        method: request.method,
+        endpoint: request.endpoint,
+        body: this.normalizeBody(request.body, identity),
+        url: this.scrubText(request.url, identity, { learn: true }),
+        headers: this.scrubHeaders(request.headers, identity, { learn: true })
+      },
+      response: exchange.error
+        ? { error: { ...exchange.error, message: this.scrubText(exchange.error.message, identity) } }
+        : { status: exchange.status, headers: this.scrubHeaders(exchange.headers, identity), body: this.scrubText(exchange.text, identity) }
+    });
+    this.save();
+  }
+
+  // The next recorded exchange for request, with this client's wallet put
+  // back where the recording had a placeholder. Throws CassetteMissError
+  // when nothing recorded matches.
+  replay(request, identity) {
+    // Same order as record(), so addresses are numbered the same way
+    const body = this.normalizeBody(request.body, identity);
+    this.scrubText(request.url, identity, { learn: true });
+    this.scrubHeaders(request.headers, identity, { learn: true });
+    const queue = this.queues.get(matchKey(request.method, request.endpoint, body));
+    if (!queue || queue.length === 0) {
+      this.misses.push({ method: request.method, endpoint: request.endpoint, body });
+      throw new CassetteMissError(`No recorded response for ${request.method} ${request.endpoint} in ${this.file}`, {
+        method: request.method,
+        endpoint: request.endpoint,
+        body
+      });
+    }
+
+    const { response } = this.interactions[queue.shift()];
+    this.replayed++;
+    if (response.error) {
+      return { error: response.error };
+    }
+    return {
+      status: response.status,
+      headers: Object.fromEntries(Object.entries(response.headers || {}).map(([name, value]) => [name, this.restoreText(value, identity)])),
+      text: this.restoreText(response.body, identity)
+    };
+  }
+
+  summary() {
+    return {
+      mode: this.mode,
+      file: this.file,
+      interactions: this.interactions.length,
+      ...(this.replaying && { replayed: this.replayed, unused: this.interactions.length - this.replayed, misses: this.misses.length })
+    };
+  }
+}
+
+// One cassette per run, used by every client that is not given its own
+let runCassette = null;
+
+export function getRunCassette() {
+  return runCassette;
+}
+
+// { record: file } or { replay: file }; neither turns cassettes off
+export function configureCassette({ record, replay } = {}) {
+  if (record && replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  runCassette = record ? new Cassette(record, 'record') : replay ? new Cassette(replay, 'replay') : null;
+  return runCassette;
+}
@@ -0,0 +1,159 @@
+import { toChecksumAddress } from './auth.js';
+
+// Destination chain profiles for bridge-out: how each chain writes a
+// recipient address, and a well-formed sample recipient for tests that
+// only request quotes or expect to be rejected.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    value = value * 58n + BigInt(digit);
+  }
+  const hex = value === 0n ? '' : value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  // Each leading "1" is a leading zero byte
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+// CRC-16/XMODEM, the checksum of TON user-friendly addresses
+function crc16(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// Each check returns a list of problems, empty when the address is valid
+
+// All-lowercase or all-uppercase addresses carry no checksum and are
+// accepted as EIP-55 allows; mixed case must match the checksum exactly
+export function checkEthereumAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return ['must be 0x followed by 40 hex characters'];
+  }
+  const hex = address.slice(2);
+  if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && toChecksumAddress(hex) !== address) {
+    return [`EIP-55 checksum mismatch (expected ${toChecksumAddress(hex)})`];
+  }
+  return [];
+}
+
+export function checkSolanaAddress(address) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return ['must be 32-44 base58 characters'];
+  }
+  const bytes = decodeBase58(address);
+  if (bytes.length !== 32) {
+    return [`must decode to a 32-byte public key (got ${bytes.length} bytes)`];
+  }
+  return [];
+}
+
+// Raw "<workchain>:<64 hex>" or 48-character user-friendly base64/base64url:
+// flag byte, workchain byte, 32-byte account id, CRC-16 of the first 34 bytes
+export function checkTonAddress(address) {
+  if (/^-?\d+:/.test(address)) {
+    return /^(0|-1):[0-9a-fA-F]{64}$/.test(address)
+      ? []
+      : ['raw form must be 0:<64 hex> or -1:<64 hex>'];
+  }
+
+  if (!/^[A-Za-z0-9+/_-]{48}$/.test(address)) {
+    return ['must be a raw address or 48 base64 characters'];
+  }
+  const bytes = Buffer.from(address.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const problems = [];
+  if (![0x11, 0x51].includes(bytes[0] & 0x7f)) {
+    problems.push(`unknown flag byte 0x${bytes[0].toString(16)}`);
+  }
+  if (![0x00, 0xff].includes(bytes[1])) {
+    problems.push(`unknown workchain ${bytes[1]}`);
+  }
+  if (crc16(bytes.subarray(0, 34)) !== bytes.readUInt16BE(34)) {
+    problems.push('CRC-16 checksum mismatch');
+  }
+  return problems;
+}
+
+export const CHAIN_PROFILES = {
+  ethereum: {
+    name: 'Ethereum',
+    addressFormat: 'EIP-55 hex address',
+    checkAddress: checkEthereumAddress,
+    sampleRecipient: '0x1234567890123456789012345678901234567890'
+  },
+  solana: {
+    name: 'Solana',
+    addressFormat: 'base58 public key',
+    checkAddress: checkSolanaAddress,
+    sampleRecipient: 'So11111111111111111111111111111111111111112'
+  },
+  ton: {
+    name: 'TON',
+    addressFormat: 'raw or user-friendly TON address',
+    checkAddress: checkTonAddress,
+    sampleRecipient: '0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8'
+  }
+};
+
+// Well-formed for their own chain, wrong for every other one
+export const WRONG_FORMAT_RECIPIENTS = {
+  ethereum: [
+    '0x1234567890abcdef1234567890ABCDEF12345678', // mixed case, bad EIP-55 checksum
+    '0x12345678901234567890123456789012345678' // 19 bytes
+  ],
+  solana: [
+    'So11111111111111111111111111111111111111110', // "0" is not base58
+    '1111111111111111111111111111111111' // decodes to 34 bytes
+  ],
+  ton: [
+    'EQD4FPq-PRDieyQKkizFTRtSDyucUIqrj0v_zXJmqaDp6_0u', // bad CRC-16
+    '1:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8' // unknown workchain
+  ]
+};
+
+export function checkRecipient(chain, address) {
+  const profile = CHAIN_PROFILES[chain];
+  if (!profile) return [`unknown destination chain: ${chain}`];
+  if (typeof address !== 'string' || !address) return ['recipient is required'];
+  return profile.checkAddress(address).map(problem => `${profile.name} recipient ${problem}`);
+}
+
+// chainIds is the environment's { ethereum: 2, ton: 1001, ... }
+export function chainForId(chainIds, chainId) {
+  const entry = Object.entries(chainIds).find(([, id]) => String(id) === String(chainId));
+  return entry && CHAIN_PROFILES[entry[0]] ? entry[0] : null;
+}
+
+// Every destination chain the bridge configurations advertise, each paired
+// with a token that can bridge there (preferredToken when it can)
+export function advertisedDestinations(configurations, chainIds, preferredToken) {
+  const destinations = new Map();
+  const tokens = [...(configurations?.data?.tokens || [])]
+    .sort((a, b) => (b.symbol === preferredToken) - (a.symbol === preferredToken));
+
+  for (const token of tokens) {
+    for (const route of token.canBridgeTo || []) {
+      for (const chainId of route.destinationChainIds || []) {
+        if (destinations.has(String(chainId))) continue;
+        destinations.set(String(chainId), {
+          chain: chainForId(chainIds, chainId),
+          chainId: Number(chainId),
+          network: route.network,
+          tokenClass: token.symbol
+        });
+      }
+    }
+  }
+
+  return [...destinations.values()];
+}
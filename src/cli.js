@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { config, selectEnvironment } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { runFunctionalTests } from './functional-runner.js';
+import { runSecurityTests } from './security-test-runner.js';
+import { runPublicTests } from './public-test.js';
+import { runSecurityDemo } from './security-demo.js';
+import { runMonitor } from './monitor.js';
+import { runDriftCheck } from './config-drift.js';
+import { runFeeSurvey } from './fee-survey.js';
+import { runSwapTests } from './swap-tester.js';
+import { runAllowanceTests } from './allowance-tester.js';
+import { createTestFilter } from './test-filter.js';
+import { parseCapabilities, parseTags } from './test-registry.js';
+import { configureSafeMode } from './safe-mode.js';
+import { configureCassette } from './cassette.js';
+import { writeReport } from './reporters.js';
+import { startMetricsServer } from './metrics.js';
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const COMMANDS = {
+  functional: { title: 'Functional Bridge Tests', run: runFunctionalTests },
+  security: { title: 'Security Testing Suite', run: runSecurityTests },
+  public: { title: 'Public API Tests', run: runPublicTests },
+  demo: { title: 'Security Demo (mock server)', run: runSecurityDemo },
+  monitor: { title: 'Monitor', run: runMonitor },
+  drift: { title: 'Bridge Configuration Drift', run: runDriftCheck },
+  fees: { title: 'Bridge Fee Survey', run: runFeeSurvey },
+  swaps: { title: 'Swap Lifecycle Tests', run: runSwapTests },
+  allowances: { title: 'Token Allowance Tests', run: runAllowanceTests },
+  report: { title: 'Saved Report', run: runReport }
+};
+
+const VALUE_FLAGS = ['only', 'skip', 'env', 'output', 'mode', 'suite', 'interval', 'metrics-port', 'baseline', 'tags', 'capabilities', 'plugins', 'spend-cap', 'record', 'replay'];
+const BOOLEAN_FLAGS = ['dry-run', 'help', 'update-baseline', 'arm'];
+
+const USAGE = `Usage: bridgeguard <command> [options]
+
+Commands:
+  functional          Wallet, balance, bridge and swap tests (needs PRIVATE_KEY)
+  security            Security suite against the configured environment
+  public              Public endpoints only, no wallet needed
+  demo                Security suite against the local secure and vulnerable mocks
+  monitor             Probe endpoints on a schedule and alert until stopped
+  drift               Diff bridge configurations against a saved baseline
+  fees                Quote every token/chain pair and alert on fee anomalies
+  swaps               Create, accept and cancel a swap, checking balances
+                      (escrows SWAP_OFFERED_TOKEN until the swap is cancelled)
+  allowances          Read allowances and check that bridging another
+                      wallet's tokens without enough allowance is refused
+  report <file>       Print a saved JSON report (add --output to convert it)
+
+Options:
+  --only <ids>        Run only these test ids (comma-separated, * wildcards)
+  --skip <ids>        Skip these test ids (comma-separated, * wildcards)
+  --tags <tags>       security, demo: only tests with one of these tags
+  --capabilities <c>  security, demo: only tests that need nothing beyond
+                      these (wallet, network, mutating), or none
+  --plugins <paths>   security, demo: load extra test files or directories,
+                      comma-separated (default TEST_PLUGINS)
+  --env <name>        Environment profile: prod, stage, local or custom
+  --output <files>    Write the run to these files, comma-separated; the
+                      extension picks the format: .json, .xml (JUnit) or
+                      .sarif (default: REPORT_OUTPUT)
+  --dry-run           List the tests that would run without sending requests
+  --arm               Allow value-moving requests (bridges, swaps, grants);
+                      also needs --spend-cap. Without it they are refused
+                      except against localhost (default BRIDGEGUARD_ARMED)
+  --spend-cap <n>     Most of each token value-moving requests may move in
+                      this run (default SPEND_CAP)
+  --record <file>     Save every request and response to a cassette file,
+                      with signatures normalized and secrets removed
+  --replay <file>     Answer requests from a recorded cassette instead of
+                      the network (no --arm needed; nothing is sent)
+  --metrics-port <n>  Serve Prometheus metrics on :n/metrics while running
+                      (default METRICS_PORT; most useful with monitor)
+  --mode <mode>       demo: secure, vulnerable or both (default both)
+  --suite <name>      monitor: public, functional or all (default public)
+  --interval <sec>    monitor: seconds between probe runs
+                      (default MONITOR_INTERVAL_SECONDS or 300)
+  --baseline <file>   drift: snapshot to compare against (default
+                      BRIDGE_SNAPSHOT_DIR/bridge-configurations.<env>.json)
+  --update-baseline   drift: save the current configuration as the baseline
+  -h, --help          Show this help
+
+Exit codes:
+  0    success
+  1    one or more tests failed
+  2    critical security findings
+  3    configuration or runtime error
+  4    usage error
+  130  interrupted (SIGINT/SIGTERM)`;
+
+function parseArgs(argv) {
+  const args = { command: null, positionals: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      args.flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (BOOLEAN_FLAGS.includes(name)) {
+        args.flags[name] = true;
+      } else if (VALUE_FLAGS.includes(name)) {
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined || value.startsWith('--')) {
+          throw new Error(`--${name} needs a value`);
+        }
+        args.flags[name] = value;
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positionals.push(arg);
+    }
+  }
+
+  return args;
+}
+
+async function runReport(options) {
+  const [file] = options.positionals;
+  if (!file) {
+    console.error('💥 report needs a file: bridgeguard report <file>');
+    return { exitCode: EXIT_CODES.USAGE };
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`💥 Could not read report ${file}: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR };
+  }
+
+  console.log(`📄 ${file}`);
+  console.log(`  Command: ${saved.command} (${saved.environment})`);
+  console.log(`  Finished: ${saved.finishedAt}`);
+  console.log(`  Exit code: ${saved.exitCode}`);
+  for (const suite of saved.suites || []) {
+    const failed = suite.results.filter(result => !result.success);
+    console.log(`  ${suite.name}: ${suite.results.length - failed.length}/${suite.results.length} passed`);
+    failed.forEach(result => console.log(`    ❌ ${result.id}: ${result.error || 'failed'}`));
+  }
+
+  // Re-use the saved exit code so CI can gate on an earlier run
+  return { exitCode: saved.exitCode ?? EXIT_CODES.ERROR, run: saved };
+}
+
+function writeOutputs(files, run) {
+  for (const file of files) {
+    const format = writeReport(file, run);
+    console.log(`\n💾 ${format.toUpperCase()} report written to ${file}`);
+  }
+}
+
+function describeSafeMode(safeMode) {
+  if (!safeMode.armed) {
+    return '🔒 Safe mode: value-moving requests are refused (--arm --spend-cap <n> to allow them)';
+  }
+  if (safeMode.spendCap === null) {
+    return '🔒 Safe mode: --arm needs --spend-cap, value-moving requests are still refused';
+  }
+  return `⚠️  Armed: value-moving requests may move up to ${safeMode.summary().spendCap} of each token`;
+}
+
+async function main(argv) {
+  let args;
+  let selection;
+  let safeMode;
+  try {
+    args = parseArgs(argv);
+    selection = {
+      tags: parseTags(args.flags.tags),
+      capabilities: parseCapabilities(args.flags.capabilities),
+      plugins: args.flags.plugins?.split(',').map(entry => entry.trim()).filter(Boolean)
+    };
+    safeMode = configureSafeMode({ armed: args.flags.arm || undefined, spendCap: args.flags['spend-cap'] });
+  } catch (error) {
+    console.error(`💥 ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.flags.help || !args.command) {
+    console.log(USAGE);
+    return args.command || args.flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error(`💥 Unknown command: ${args.command}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let cassette = null;
+  if (args.command !== 'report') {
+    try {
+      cassette = configureCassette({ record: args.flags.record, replay: args.flags.replay });
+    } catch (error) {
+      console.error(`💥 ${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  if (args.flags.env) {
+    selectEnvironment(args.flags.env);
+  }
+
+  console.log(`🌉 BridgeGuard ${pkg.version} - ${command.title}`);
+  console.log('=' .repeat(60));
+  if (args.command !== 'report' && args.command !== 'demo') {
+    console.log(describeSafeMode(safeMode));
+  }
+  if (cassette) {
+    console.log(cassette.replaying
+      ? `📼 Replaying ${cassette.interactions.length} recorded interactions from ${cassette.file}`
+      : `📼 Recording to ${cassette.file}`);
+  }
+
+  const controller = new AbortController();
+  const interrupt = () => {
+    console.log('\n👋 Shutting down BridgeGuard...');
+    // The monitor stops on its own; anything else exits right away
+    if (args.command === 'monitor' && !controller.signal.aborted) {
+      controller.abort();
+      return;
+    }
+    process.exit(EXIT_CODES.INTERRUPTED);
+  };
+  process.on('SIGINT', interrupt);
+  process.on('SIGTERM', interrupt);
+
+  const metricsPort = args.flags['metrics-port'] ?? config.metrics.port;
+  let metricsServer = null;
+  if (metricsPort && !args.flags['dry-run'] && args.command !== 'report') {
+    try {
+      metricsServer = await startMetricsServer(Number(metricsPort), { host: config.metrics.host });
+      console.log(`📈 Prometheus metrics on http://${config.metrics.host}:${metricsPort}/metrics`);
+    } catch (error) {
+      console.error(`💥 Could not start metrics server on port ${metricsPort}: ${error.message}`);
+      return EXIT_CODES.ERROR;
+    }
+  }
+
+  const startedAt = new Date().toISOString();
+  const { exitCode, report, run: savedRun } = await command.run({
+    positionals: args.positionals,
+    filter: createTestFilter(args.flags.only, args.flags.skip),
+    ...selection,
+    dryRun: Boolean(args.flags['dry-run']),
+    mode: args.flags.mode,
+    suite: args.flags.suite,
+    intervalSeconds: args.flags.interval ? Number(args.flags.interval) : undefined,
+    baseline: args.flags.baseline,
+    updateBaseline: Boolean(args.flags['update-baseline']),
+    signal: controller.signal
+  });
+
+  if (metricsServer) {
+    metricsServer.closeAllConnections();
+    await new Promise(resolve => metricsServer.close(resolve));
+  }
+
+  if (cassette) {
+    const { interactions, replayed, unused, misses } = cassette.summary();
+    console.log(cassette.replaying
+      ? `\n📼 Replayed ${replayed} of ${interactions} recorded interactions${unused > 0 ? ` (${unused} unused)` : ''}${misses > 0 ? `, ${misses} requests not in the cassette` : ''}`
+      : `\n📼 Recorded ${interactions} interactions to ${cassette.file}`);
+  }
+
+  // `report` re-emits the saved run instead of describing itself
+  const run = savedRun || {
+    tool: 'bridgeguard',
+    version: pkg.version,
+    command: args.command,
+    environment: config.environment.name,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    exitCode,
+    safeMode: { ...safeMode.summary(), audit: safeMode.auditLog },
+    ...(cassette && { cassette: cassette.summary() }),
+    ...report
+  };
+
+  const output = args.command === 'report'
+    ? savedRun && args.flags.output
+    : args.flags.output || config.testing.reportOutput;
+  if (output) {
+    try {
+      writeOutputs(output.split(',').map(file => file.trim()).filter(Boolean), run);
+    } catch (error) {
+      console.error(`💥 Could not write report: ${error.message}`);
+      return EXIT_CODES.ERROR;
+    }
+  }
+
+  return exitCode;
+}
+
+main(process.argv.slice(2))
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(EXIT_CODES.ERROR);
+  });
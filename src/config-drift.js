@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { config, validateEnvironment } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { SEVERITY_ORDER } from './findings.js';
+
+// Snapshots of /v1/connect/bridge-configurations and diffs between them.
+// A snapshot keeps only the fields that matter for bridging safety, keyed
+// so that reordering the API response is never reported as drift.
+
+export { SEVERITY_ORDER };
+
+export const DRIFT_KINDS = {
+  'contract-address-changed': { severity: 'critical', title: 'Contract address changed on another network' },
+  'decimals-changed': { severity: 'high', title: 'Token decimals changed' },
+  'network-changed': { severity: 'high', title: 'Token home network changed' },
+  'verified-revoked': { severity: 'high', title: 'Token lost its verified flag' },
+  'token-added': { severity: 'medium', title: 'New bridgeable token' },
+  'contract-added': { severity: 'medium', title: 'Token gained a contract on another network' },
+  'destination-chain-added': { severity: 'medium', title: 'New destination chain' },
+  'token-removed': { severity: 'low', title: 'Bridgeable token removed' },
+  'contract-removed': { severity: 'low', title: 'Contract on another network removed' },
+  'destination-chain-removed': { severity: 'low', title: 'Destination chain removed' },
+  'verified-granted': { severity: 'info', title: 'Token became verified' }
+};
+
+function tokenKey(token) {
+  return token.symbol || token.name;
+}
+
+export function snapshotBridgeConfigurations(response, meta = {}) {
+  const tokens = {};
+
+  for (const token of response?.data?.tokens || []) {
+    const destinations = {};
+    for (const route of token.canBridgeTo || []) {
+      for (const chainId of route.destinationChainIds || []) {
+        destinations[String(chainId)] = { network: route.network, symbol: route.symbol };
+      }
+    }
+
+    const contracts = {};
+    for (const other of token.otherNetworks || []) {
+      contracts[other.network] = { symbol: other.symbol, contractAddress: other.contractAddress };
+    }
+
+    tokens[tokenKey(token)] = {
+      name: token.name,
+      network: token.network,
+      decimals: token.decimals,
+      verified: Boolean(token.verified),
+      destinations,
+      contracts
+    };
+  }
+
+  return {
+    takenAt: new Date().toISOString(),
+    environment: meta.environment,
+    apiBaseUrl: meta.apiBaseUrl,
+    tokens
+  };
+}
+
+function change(kind, token, message, before, after) {
+  return { kind, severity: DRIFT_KINDS[kind].severity, token, message, before, after };
+}
+
+export function diffBridgeConfigurations(baseline, current) {
+  const changes = [];
+  const symbols = new Set([...Object.keys(baseline.tokens), ...Object.keys(current.tokens)]);
+
+  for (const symbol of symbols) {
+    const before = baseline.tokens[symbol];
+    const after = current.tokens[symbol];
+
+    if (!before) {
+      changes.push(change('token-added', symbol, `${symbol} is now bridgeable`, null, after));
+      continue;
+    }
+    if (!after) {
+      changes.push(change('token-removed', symbol, `${symbol} is no longer bridgeable`, before, null));
+      continue;
+    }
+
+    if (before.decimals !== after.decimals) {
+      changes.push(change('decimals-changed', symbol, `${symbol} decimals ${before.decimals} → ${after.decimals}`, before.decimals, after.decimals));
+    }
+    if (before.network !== after.network) {
+      changes.push(change('network-changed', symbol, `${symbol} network ${before.network} → ${after.network}`, before.network, after.network));
+    }
+    if (before.verified && !after.verified) {
+      changes.push(change('verified-revoked', symbol, `${symbol} is no longer verified`, true, false));
+    } else if (!before.verified && after.verified) {
+      changes.push(change('verified-granted', symbol, `${symbol} is now verified`, false, true));
+    }
+
+    for (const network of new Set([...Object.keys(before.contracts), ...Object.keys(after.contracts)])) {
+      const was = before.contracts[network];
+      const now = after.contracts[network];
+      if (!was) {
+        changes.push(change('contract-added', symbol, `${symbol} on ${network}: new contract ${now.contractAddress}`, null, now.contractAddress));
+      } else if (!now) {
+        changes.push(change('contract-removed', symbol, `${symbol} on ${network}: contract ${was.contractAddress} removed`, was.contractAddress, null));
+      } else if (String(was.contractAddress).toLowerCase() !== String(now.contractAddress).toLowerCase()) {
+        // Checksum casing differences are the same address, not drift
+        changes.push(change('contract-address-changed', symbol,
+          `${symbol} on ${network}: contract ${was.contractAddress} → ${now.contractAddress}`, was.contractAddress, now.contractAddress));
+      }
+    }
+
+    for (const chainId of new Set([...Object.keys(before.destinations), ...Object.keys(after.destinations)])) {
+      const was = before.destinations[chainId];
+      const now = after.destinations[chainId];
+      if (!was) {
+        changes.push(change('destination-chain-added', symbol, `${symbol} can now bridge to chain ${chainId} (${now.network})`, null, chainId));
+      } else if (!now) {
+        changes.push(change('destination-chain-removed', symbol, `${symbol} can no longer bridge to chain ${chainId} (${was.network})`, chainId, null));
+      }
+    }
+  }
+
+  return changes.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+// Only info-level changes (a token becoming verified) do not count as drift
+export function isDrift(changes) {
+  return changes.some(c => c.severity !== 'info');
+}
+
+export function defaultSnapshotPath(environmentName, snapshotDir = config.drift.snapshotDir) {
+  return path.join(snapshotDir, `bridge-configurations.${environmentName}.json`);
+}
+
+export function loadSnapshot(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function saveSnapshot(file, snapshot) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+}
+
+export async function fetchBridgeConfigurations(apiBaseUrl) {
+  const response = await fetch(`${apiBaseUrl}/v1/connect/bridge-configurations`);
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status} ${response.statusText}`);
+  }
+  const body = await response.json();
+  if (!Array.isArray(body?.data?.tokens)) {
+    throw new Error('Response has no data.tokens list');
+  }
+  return body;
+}
+
+export function printDrift(changes) {
+  const icons = { critical: '🚨', high: '❌', medium: '⚠️', low: '📉', info: 'ℹ️' };
+  if (changes.length === 0) {
+    console.log('✅ No drift - bridge configuration matches the baseline');
+    return;
+  }
+  console.log(`🔀 ${changes.length} configuration changes since the baseline:`);
+  changes.forEach(c => console.log(`  ${icons[c.severity]} [${c.severity.toUpperCase()}] ${c.message}`));
+}
+
+// One result per drift kind, so each kind has a stable rule ID in SARIF
+function toDriftSuite(changes) {
+  return {
+    name: 'drift',
+    kind: 'security',
+    results: Object.entries(DRIFT_KINDS).map(([kind, { severity, title }]) => {
+      const found = changes.filter(c => c.kind === kind);
+      return {
+        id: `config-drift-${kind}`,
+        name: title,
+        success: found.length === 0 || severity === 'info',
+        severity,
+        error: found.length > 0 ? found.map(c => c.message).join('; ') : undefined,
+        evidence: found.map(c => c.message)
+      };
+    })
+  };
+}
+
+// Drift check behind `bridgeguard drift`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runDriftCheck(options = {}) {
+  try {
+    validateEnvironment();
+  } catch (error) {
+    console.error(`💥 ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+
+  const environment = config.environment;
+  const snapshotFile = options.baseline || defaultSnapshotPath(environment.name);
+  const baseline = loadSnapshot(snapshotFile);
+
+  if (options.dryRun) {
+    console.log(`📝 Dry run - would ${baseline ? 'compare against' : 'create'} ${snapshotFile}`);
+    return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, snapshotFile } };
+  }
+
+  let response;
+  try {
+    response = await fetchBridgeConfigurations(environment.apiBaseUrl);
+  } catch (error) {
+    console.error(`💥 Could not fetch bridge configurations: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+  const current = snapshotBridgeConfigurations(response, {
+    environment: environment.name,
+    apiBaseUrl: environment.apiBaseUrl
+  });
+
+  if (!baseline) {
+    saveSnapshot(snapshotFile, current);
+    console.log(`📸 No baseline yet - saved ${Object.keys(current.tokens).length} tokens to ${snapshotFile}`);
+    return { exitCode: EXIT_CODES.SUCCESS, report: { snapshotFile, baselineCreated: true, changes: [] } };
+  }
+
+  console.log(`📸 Baseline: ${snapshotFile} (taken ${baseline.takenAt})`);
+  const changes = diffBridgeConfigurations(baseline, current);
+  printDrift(changes);
+
+  if (options.updateBaseline) {
+    saveSnapshot(snapshotFile, current);
+    console.log(`💾 Baseline updated: ${snapshotFile}`);
+  }
+
+  const serious = changes.some(c => c.severity === 'critical' || c.severity === 'high');
+  const exitCode = serious
+    ? EXIT_CODES.CRITICAL_FINDINGS
+    : isDrift(changes) ? EXIT_CODES.TEST_FAILURES : EXIT_CODES.SUCCESS;
+
+  return {
+    exitCode,
+    report: {
+      snapshotFile,
+      baselineTakenAt: baseline.takenAt,
+      baselineUpdated: Boolean(options.updateBaseline),
+      changes,
+      suites: [toDriftSuite(changes)]
+    }
+  };
+}
@@ -1,32 +1,170 @@
 import dotenv from 'dotenv';
+import { GalaAuth, SIGNING_SCHEMES, DEFAULT_SIGNING_SCHEME } from './auth.js';
+import { loadEnvironment, checkEnvironment, resolveEnvironmentName } from './environments.js';
+import { checkRecipient } from './chains.js';
 
 dotenv.config();
 
+// Like parseInt(value) || fallback, but keeps an explicit 0
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// "2:50,1001:5" -> { '2': '50', '1001': '5' }
+function parseChainMap(value) {
+  const map = {};
+  for (const entry of (value || '').split(',')) {
+    const [chainId, amount] = entry.split(':').map(part => part?.trim());
+    if (chainId && amount) map[chainId] = amount;
+  }
+  return map;
+}
+
+// An unknown profile name is reported by validateEnvironment, not at import time
+function loadConfiguredEnvironment(name) {
+  try {
+    return loadEnvironment(name);
+  } catch (error) {
+    return { name, error: error.message };
+  }
+}
+
 export const config = {
+  environment: loadConfiguredEnvironment(resolveEnvironmentName()),
+  
   wallet: {
     privateKey: process.env.PRIVATE_KEY,
     publicKey: process.env.PUBLIC_KEY,
-    address: process.env.WALLET_ADDRESS
+    address: process.env.WALLET_ADDRESS,
+    signingScheme: process.env.SIGNING_SCHEME || DEFAULT_SIGNING_SCHEME
   },
   
   bridge: {
     testTokenClass: process.env.TEST_TOKEN_CLASS || 'MUSIC',
     testAmount: parseInt(process.env.TEST_AMOUNT) || 1,
-    testRecipient: process.env.TEST_RECIPIENT
+    testRecipient: process.env.TEST_RECIPIENT,
+    // One recipient per destination chain; chains without one are skipped
+    recipients: {
+      ethereum: process.env.TEST_RECIPIENT_ETHEREUM || process.env.TEST_RECIPIENT,
+      solana: process.env.TEST_RECIPIENT_SOLANA,
+      ton: process.env.TEST_RECIPIENT_TON
+    },
+    runLifecycle: process.env.RUN_BRIDGE_LIFECYCLE === 'true',
+    // Inbound transfer to follow: the deposit's hash on the source chain
+    bridgeIn: {
+      hash: process.env.BRIDGE_IN_TX_HASH,
+      sourceChainId: intFromEnv('BRIDGE_IN_SOURCE_CHAIN_ID', undefined),
+      tokenClass: process.env.BRIDGE_IN_TOKEN_CLASS || process.env.TEST_TOKEN_CLASS || 'MUSIC',
+      quantity: process.env.BRIDGE_IN_QUANTITY || undefined
+    },
+    statusTimeoutMs: parseInt(process.env.BRIDGE_STATUS_TIMEOUT_MS) || 10 * 60 * 1000
   },
   
   testing: {
     runBridgeTests: process.env.RUN_BRIDGE_TESTS === 'true',
-    rateLimitDelay: parseInt(process.env.RATE_LIMIT_DELAY) || 500,
-    logLevel: process.env.LOG_LEVEL || 'info'
+    rateLimitDelay: intFromEnv('RATE_LIMIT_DELAY', 500),
+    rateLimitBurst: intFromEnv('RATE_LIMIT_BURST', 1),
+    maxRetries: intFromEnv('MAX_RETRIES', 3),
+    retryBaseDelayMs: intFromEnv('RETRY_BASE_DELAY_MS', 500),
+    retryMaxDelayMs: intFromEnv('RETRY_MAX_DELAY_MS', 10000),
+    requestTimeoutMs: intFromEnv('REQUEST_TIMEOUT_MS', 30000),
+    logLevel: process.env.LOG_LEVEL || 'info',
+    // Extra test files or directories, comma-separated (same as --plugins)
+    plugins: (process.env.TEST_PLUGINS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+    reportOutput: process.env.REPORT_OUTPUT
+  },
+  
+  drift: {
+    snapshotDir: process.env.BRIDGE_SNAPSHOT_DIR || 'snapshots'
+  },
+  
+  fees: {
+    historyDir: process.env.FEE_HISTORY_DIR || 'fee-history',
+    quantity: process.env.FEE_SURVEY_QUANTITY || '1',
+    // Thresholds are in units of the fee token; FEE_ALERT_MAX_BY_CHAIN is "chainId:max,..."
+    maxFee: process.env.FEE_ALERT_MAX,
+    maxFeeByChain: parseChainMap(process.env.FEE_ALERT_MAX_BY_CHAIN),
+    jumpPercent: intFromEnv('FEE_ALERT_JUMP_PERCENT', 50),
+    expectedFeeTokens: (process.env.EXPECTED_FEE_TOKENS || 'GALA').split(',').map(token => token.trim()).filter(Boolean)
+  },
+  
+  swaps: {
+    offeredToken: process.env.SWAP_OFFERED_TOKEN || 'GALA',
+    offeredQuantity: process.env.SWAP_OFFERED_QUANTITY || '1',
+    wantedToken: process.env.SWAP_WANTED_TOKEN || 'GUSDC',
+    wantedQuantity: process.env.SWAP_WANTED_QUANTITY || '1',
+    uses: intFromEnv('SWAP_USES', 2),
+    // Second funded wallet that accepts the test swap; swap-accept is skipped without it
+    counterpartyPrivateKey: process.env.SWAP_COUNTERPARTY_PRIVATE_KEY
+  },
+  
+  allowances: {
+    tokenClass: process.env.ALLOWANCE_TOKEN_CLASS || 'GALA',
+    quantity: process.env.ALLOWANCE_QUANTITY || '1',
+    // Second wallet that grants this one an allowance; allowance-insufficient is skipped without it
+    grantorPrivateKey: process.env.ALLOWANCE_GRANTOR_PRIVATE_KEY
+  },
+  
+  // DTO fuzzing: the same seed sends the same cases; failing cases are saved
+  // to regressionDir and sent first on every later run
+  fuzzing: {
+    seed: process.env.FUZZ_SEED,
+    cases: intFromEnv('FUZZ_CASES', 40),
+    regressionDir: process.env.FUZZ_REGRESSION_DIR || 'fuzz-regressions'
+  },
+  
+  // Value-moving requests need both (same as --arm and --spend-cap)
+  safety: {
+    armed: process.env.BRIDGEGUARD_ARMED === 'true',
+    spendCap: process.env.SPEND_CAP,
+    auditLog: process.env.AUDIT_LOG
+  },
+  
+  metrics: {
+    port: process.env.METRICS_PORT,
+    host: process.env.METRICS_HOST || '0.0.0.0'
+  },
+  
+  monitor: {
+    intervalSeconds: intFromEnv('MONITOR_INTERVAL_SECONDS', 300),
+    failureThreshold: intFromEnv('MONITOR_FAILURE_THRESHOLD', 2),
+    realertMinutes: intFromEnv('MONITOR_REALERT_MINUTES', 60),
+    alerts: {
+      webhookUrl: process.env.ALERT_WEBHOOK_URL,
+      slackWebhookUrl: process.env.ALERT_SLACK_WEBHOOK_URL,
+      email: {
+        to: process.env.ALERT_EMAIL_TO,
+        from: process.env.ALERT_EMAIL_FROM || 'bridgeguard@localhost',
+        host: process.env.SMTP_HOST || '127.0.0.1',
+        port: intFromEnv('SMTP_PORT', 1025)
+      }
+    }
   }
 };
 
+export function selectEnvironment(name) {
+  config.environment = loadConfiguredEnvironment(name);
+  return config.environment;
+}
+
+export function validateEnvironment() {
+  const { environment } = config;
+  const problems = environment.error ? [environment.error] : checkEnvironment(environment);
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid environment configuration: ${problems.join('; ')}`);
+  }
+  
+  return true;
+}
+
 export function validateConfig() {
+  validateEnvironment();
+  
+  // PUBLIC_KEY and WALLET_ADDRESS are derived from PRIVATE_KEY when unset
   const required = [
-    'wallet.privateKey',
-    'wallet.publicKey', 
-    'wallet.address'
+    'wallet.privateKey'
   ];
   
   const missing = [];
@@ -48,5 +186,32 @@ export function validateConfig() {
     throw new Error(`Missing required configuration: ${missing.join(', ')}`);
   }
   
+  const { privateKey, publicKey, address } = config.wallet;
+  const problems = GalaAuth.checkKeyTriple(privateKey, publicKey, address);
+  if (problems.length > 0) {
+    throw new Error(`Wallet configuration mismatch: ${problems.join('; ')}`);
+  }
+  
+  if (!SIGNING_SCHEMES[config.wallet.signingScheme]) {
+    throw new Error(`Invalid SIGNING_SCHEME: ${config.wallet.signingScheme} (expected ${Object.keys(SIGNING_SCHEMES).join(', ')})`);
+  }
+  
+  // .env.example ships a placeholder rather than an address; name it
+  // instead of reporting it as a malformed address
+  const placeholders = Object.entries(config.bridge.recipients)
+    .filter(([, address]) => /^your_/.test(address || ''));
+  if (placeholders.length > 0) {
+    const chains = placeholders.map(([chain, address]) => `${chain} (${address})`).join(', ');
+    throw new Error(`Recipient still set to the .env.example placeholder for ${chains}: set TEST_RECIPIENT to a real address or leave it empty`);
+  }
+  
+  // A mistyped recipient would send test funds somewhere unrecoverable
+  const recipientProblems = Object.entries(config.bridge.recipients)
+    .filter(([, address]) => address)
+    .flatMap(([chain, address]) => checkRecipient(chain, address));
+  if (recipientProblems.length > 0) {
+    throw new Error(`Invalid recipient configuration: ${recipientProblems.join('; ')}`);
+  }
+  
   return true;
 }
\ No newline at end of file
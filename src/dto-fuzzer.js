@@ -0,0 +1,514 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { RateLimitError } from './errors.js';
+import { CHAIN_PROFILES, WRONG_FORMAT_RECIPIENTS } from './chains.js';
+import { isLoopbackUrl } from './safe-mode.js';
+import { isCleanRejection } from './allowance-tester.js';
+
+// Schema-aware fuzzing of the DTOs GalaBridgeClient sends. Each case is a
+// valid DTO with one to three fields mutated - boundary quantities, type
+// confusion, unicode, prototype-pollution keys, malformed or wrong-chain
+// recipients, missing fields - and the server must refuse it with a 4xx.
+// A case it accepts, or answers with a 5xx, is shrunk to the fewest and
+// simplest mutations that still fail and saved as a regression case, which
+// every later run sends first.
+//
+// Cases come from a seeded generator: the same seed against the same server
+// sends the same cases. Every candidate list below is ordered simplest
+// first, which is the order shrinking walks back along.
+
+// Retries for a case the server rate-limited, and the longest wait honoured
+const RATE_LIMIT_RETRIES = 3;
+const MAX_RATE_LIMIT_WAIT_MS = 10000;
+
+// Requests one failing case may spend on shrinking
+const MAX_SHRINK_ATTEMPTS = 10;
+
+// Share of cases with a single mutation; the rest combine two or three
+const SINGLE_MUTATION_SHARE = 0.7;
+
+// mulberry32: small and fast, and plenty for picking test inputs
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: n => Math.floor(next() * n),
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+// Seeds are uint32s; any other value (a word, a longer number) is hashed to
+// one, and no seed at all picks a random one
+export function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return crypto.randomBytes(4).readUInt32BE(0);
+  }
+  if (/^\d+$/.test(String(seed)) && Number(seed) <= 0xffffffff) {
+    return Number(seed);
+  }
+  return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+}
+
+// =====================================================
+// SCHEMAS
+// =====================================================
+
+function tokenClass(collection) {
+  return { collection, category: 'Unit', type: 'none', additionalKey: 'none' };
+}
+
+// ctx: { walletAddress, chain, chainId, recipient, bridgeToken, offeredToken, wantedToken }
+// fields: [path, type, { optional }]; '' is the DTO itself. valueMoving DTOs
+// are only fuzzed against loopback hosts, where nothing real can move, or
+// when the run is armed. A fuzzed bridge/request is not a quote the client
+// made, so it counts as value-moving too.
+export const DTO_SCHEMAS = {
+  requestBridge: {
+    endpoint: '/v1/connect/bridge/request',
+    api: 'bridge',
+    valueMoving: true,
+    build: ctx => ({
+      walletAddress: ctx.walletAddress,
+      destinationChainId: ctx.chainId,
+      recipient: ctx.recipient,
+      quantity: '1',
+      token: tokenClass(ctx.bridgeToken)
+    }),
+    fields: [
+      ['', 'root'],
+      ['walletAddress', 'address'],
+      ['destinationChainId', 'chainId'],
+      ['recipient', 'recipient'],
+      ['quantity', 'quantity'],
+      ['token', 'object'],
+      ['token.collection', 'string'],
+      ['token.category', 'string']
+    ]
+  },
+  requestTokenBridgeOut: {
+    endpoint: '/v1/connect/RequestTokenBridgeOut',
+    api: 'bridge',
+    valueMoving: true,
+    build: ctx => ({
+      destinationChainId: ctx.chainId,
+      recipient: ctx.recipient,
+      quantity: '1',
+      tokenInstance: { ...tokenClass(ctx.bridgeToken), instance: '0' }
+    }),
+    fields: [
+      ['', 'root'],
+      ['destinationChainId', 'chainId'],
+      ['recipient', 'recipient'],
+      ['quantity', 'quantity'],
+      ['tokenInstance', 'object'],
+      ['tokenInstance.collection', 'string'],
+      ['tokenInstance.instance', 'string']
+    ]
+  },
+  createSwap: {
+    endpoint: '/api/swap/create',
+    api: 'swap',
+    valueMoving: true,
+    build: ctx => ({
+      offered: [{ quantity: '1', tokenInstance: { ...tokenClass(ctx.offeredToken), instance: '0' } }],
+      wanted: [{ quantity: '1', tokenInstance: { ...tokenClass(ctx.wantedToken), instance: '0' } }],
+      uses: '1'
+    }),
+    fields: [
+      ['', 'root'],
+      ['offered', 'list'],
+      ['offered.0', 'object'],
+      ['offered.0.quantity', 'quantity'],
+      ['offered.0.tokenInstance.collection', 'string'],
+      ['wanted', 'list'],
+      ['wanted.0.quantity', 'quantity'],
+      ['wanted.0.tokenInstance.category', 'string'],
+      ['uses', 'uses']
+    ]
+  },
+  fetchBalances: {
+    endpoint: '/galachain/api/asset/token-contract/FetchBalances',
+    api: 'bridge',
+    valueMoving: false,
+    build: ctx => ({
+      owner: ctx.walletAddress,
+      ...tokenClass(ctx.bridgeToken),
+      instance: '0'
+    }),
+    // The token class parts are filters: any string is a legitimate (if
+    // empty) query and null reads as no filter, so they only get values
+    // that are neither
+    fields: [
+      ['', 'root'],
+      ['owner', 'address'],
+      ['collection', 'filter', { optional: true }],
+      ['category', 'filter', { optional: true }],
+      ['additionalKey', 'filter', { optional: true }]
+    ]
+  }
+};
+
+// =====================================================
+// MUTATIONS
+// =====================================================
+
+const FIELD_KINDS = {
+  root: ['pollution'],
+  object: ['type', 'pollution', 'missing'],
+  list: ['type', 'missing'],
+  address: ['type', 'unicode', 'missing'],
+  string: ['type', 'unicode', 'missing'],
+  filter: ['type'],
+  quantity: ['boundary', 'type', 'unicode', 'missing'],
+  uses: ['boundary', 'type', 'missing'],
+  chainId: ['boundary', 'type', 'missing'],
+  recipient: ['malformed', 'wrong-chain', 'type', 'unicode', 'missing']
+};
+
+const MAX_UINT256_PLUS_ONE = (2n ** 256n).toString();
+
+const BOUNDARY_VALUES = {
+  quantity: ['0', '-1', '1e-30', `0.${'0'.repeat(29)}1`, '1e3', '1E18', ' 1', '1 ', '\t1\n', '+1', '01', '0x10', '1,5', 'NaN', 'Infinity', MAX_UINT256_PLUS_ONE, ''],
+  uses: ['0', '-1', '1.5', '1e3', ' 1', MAX_UINT256_PLUS_ONE, ''],
+  chainId: [0, -1, 1.5, 999999, 2 ** 53, 1e308]
+};
+
+// The value keeps its meaning for a lenient parser but not its type
+function retype(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return 1;
+}
+
+const TYPE_CONFUSIONS = [
+  () => null,
+  retype,
+  () => true,
+  value => [value],
+  value => ({ value }),
+  () => ({}),
+  () => []
+];
+
+// Cyrillic letters that render like the Latin ones they replace
+const HOMOGLYPHS = { a: '\u0430', e: '\u0435', o: '\u043e', c: '\u0441', p: '\u0440', x: '\u0445', A: '\u0410', E: '\u0415', O: '\u041e' };
+
+const UNICODE_MUTATIONS = [
+  value => `${value}\u200b`, // zero-width space
+  value => `\u202e${value}`, // right-to-left override
+  value => `${value}\u0000`, // NUL
+  value => value.replace(/[aeocpxAEO]/, char => HOMOGLYPHS[char]),
+  value => value.replace(/[!-~]/g, char => String.fromCharCode(char.charCodeAt(0) + 0xfee0)), // fullwidth
+  value => `${value}\u0301`, // combining accent
+  () => '\u{1f600}' // emoji
+];
+
+// Injected as own properties, the way JSON.parse creates them
+const POLLUTION_KEYS = [
+  ['__proto__', { polluted: true }],
+  ['constructor', { prototype: { polluted: true } }],
+  ['prototype', { polluted: true }]
+];
+
+function uniqueValues(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = JSON.stringify(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Every value kind can give the field at current, simplest first
+export function candidatesFor(kind, type, current, ctx) {
+  switch (kind) {
+    case 'boundary':
+      return BOUNDARY_VALUES[type] || [];
+    case 'type':
+      return uniqueValues(TYPE_CONFUSIONS.map(confuse => confuse(current)))
+        .filter(value => JSON.stringify(value) !== JSON.stringify(current))
+        .filter(value => type !== 'filter' || value !== null);
+    case 'unicode':
+      return typeof current === 'string'
+        ? uniqueValues(UNICODE_MUTATIONS.map(mutate => mutate(current))).filter(value => value !== current)
+        : [];
+    case 'pollution':
+      return POLLUTION_KEYS;
+    case 'malformed':
+      return ['', 'not-an-address', ...(WRONG_FORMAT_RECIPIENTS[ctx.chain] || []), ` ${current}`, String(current).slice(0, -1)];
+    case 'wrong-chain':
+      return Object.entries(CHAIN_PROFILES)
+        .filter(([chain]) => chain !== ctx.chain)
+        .map(([, profile]) => profile.sampleRecipient);
+    case 'missing':
+      return [null];
+    default:
+      throw new Error(`Unknown mutation kind: ${kind}`);
+  }
+}
+
+function getPath(value, fieldPath) {
+  return fieldPath ? fieldPath.split('.').reduce((node, key) => node?.[key], value) : value;
+}
+
+// One field path contains the other, so mutating both would be ambiguous.
+// The root only ever takes injected keys, which touch no field.
+function overlaps(a, b) {
+  if (a === '' || b === '') return a === b;
+  return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+// A copy of dto with the mutations applied. A mutation whose parent an
+// earlier one replaced with a non-object is skipped.
+export function applyMutations(dto, mutations) {
+  const copy = JSON.parse(JSON.stringify(dto));
+  for (const { path: fieldPath, kind, value } of mutations) {
+    const keys = fieldPath ? fieldPath.split('.') : [];
+    const field = keys.pop();
+    const parent = keys.reduce((node, key) => node?.[key], copy);
+    const target = field === undefined ? parent : parent?.[field];
+
+    if (kind === 'pollution') {
+      if (target && typeof target === 'object') {
+        const [key, injected] = value;
+        Object.defineProperty(target, key, { value: injected, enumerable: true, writable: true, configurable: true });
+      }
+    } else if (parent && typeof parent === 'object') {
+      if (kind === 'missing' && Array.isArray(parent)) {
+        parent.splice(Number(field), 1);
+      } else if (kind === 'missing') {
+        delete parent[field];
+      } else {
+        parent[field] = value;
+      }
+    }
+  }
+  return copy;
+}
+
+// "quantity boundary \"1e3\"", with anything invisible escaped
+export function describeMutation({ path: fieldPath, kind, value }) {
+  const shown = kind === 'missing' ? '' : ` ${JSON.stringify(kind === 'pollution' ? value[0] : value)}`;
+  return `${fieldPath || '(root)'} ${kind}${shown}`
+    .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// count cases spread round-robin over schemaNames
+export function generateCases(schemaNames, count, random, ctx) {
+  const cases = [];
+  for (let i = 0; i < count; i++) {
+    const name = schemaNames[i % schemaNames.length];
+    const schema = DTO_SCHEMAS[name];
+    const base = schema.build(ctx);
+    const size = random.next() < SINGLE_MUTATION_SHARE ? 1 : 2 + random.int(2);
+    const mutations = [];
+
+    for (let tries = 0; mutations.length < size && tries < 20; tries++) {
+      const [fieldPath, type, { optional = false } = {}] = random.pick(schema.fields);
+      if (mutations.some(mutation => overlaps(mutation.path, fieldPath))) continue;
+      const kind = random.pick(FIELD_KINDS[type].filter(k => k !== 'missing' || !optional));
+      const candidates = candidatesFor(kind, type, getPath(base, fieldPath), ctx);
+      if (candidates.length === 0) continue;
+      const index = random.int(candidates.length);
+      mutations.push({ path: fieldPath, type, kind, index, value: candidates[index] });
+    }
+
+    cases.push({ id: `${name}-${i + 1}`, schema: name, mutations });
+  }
+  return cases;
+}
+
+// =====================================================
+// FUZZER
+// =====================================================
+
+export class DtoFuzzer {
+  // options: { seed, cases, regressionDir, schemas, context, log }.
+  // regressionDir null keeps failing cases in memory only.
+  constructor(client, options = {}) {
+    this.client = client;
+    this.seed = normalizeSeed(options.seed);
+    this.caseCount = options.cases ?? 40;
+    this.regressionDir = options.regressionDir ?? null;
+    this.context = options.context;
+    this.log = options.log || ((message) => console.log(message));
+
+    const requested = options.schemas || Object.keys(DTO_SCHEMAS);
+    const unknown = requested.filter(name => !DTO_SCHEMAS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown DTO schema: ${unknown.join(', ')} (expected ${Object.keys(DTO_SCHEMAS).join(', ')})`);
+    }
+    const armed = Boolean(client.safeMode?.armed);
+    this.schemas = requested.filter(name => !DTO_SCHEMAS[name].valueMoving || armed || isLoopbackUrl(this.baseUrlFor(name)));
+    this.skipped = requested.filter(name => !this.schemas.includes(name));
+  }
+
+  baseUrlFor(name) {
+    return DTO_SCHEMAS[name].api === 'swap' ? this.client.swapBaseUrl : this.client.baseUrl;
+  }
+
+  // { seed, schemas, skipped, cases, regressions, failures: [{ id, schema, reason, mutations, file, regression }] }
+  async run() {
+    if (this.schemas.length === 0) {
+      throw new Error(`No DTO schemas to fuzz (${this.skipped.join(', ')} move value and only run against a local server or with --arm)`);
+    }
+
+    this.log(`Fuzzing ${this.schemas.join(', ')} with seed ${this.seed} (FUZZ_SEED=${this.seed} repeats this run)`);
+    if (this.skipped.length > 0) {
+      this.log(`Not fuzzing ${this.skipped.join(', ')}: they move value, the server is not local and the run is not armed`, 'warning');
+    }
+
+    // A fuzzed DTO is only evidence if the unmodified one goes through
+    for (const name of this.schemas) {
+      const result = await this.runCase({ id: `${name}-base`, schema: name, mutations: [] });
+      if (result.reason !== 'accepted') {
+        throw new Error(`The unmodified ${name} DTO was refused (${result.reason || result.status}); cannot fuzz it`);
+      }
+    }
+
+    const regressions = this.loadRegressions();
+    if (regressions.length > 0) {
+      this.log(`Replaying ${regressions.length} saved regression cases`);
+    }
+    const cases = generateCases(this.schemas, this.caseCount, createRandom(this.seed), this.context);
+
+    const failures = [];
+    for (const testCase of [...regressions, ...cases]) {
+      const result = await this.runCase(testCase);
+      if (!result.failed) continue;
+
+      const minimal = testCase.file ? { testCase, failure: result } : await this.shrink(testCase, result);
+      const file = testCase.file || this.saveRegression(minimal.testCase, minimal.failure);
+      const mutations = minimal.testCase.mutations.map(describeMutation);
+      failures.push({ id: testCase.id, schema: testCase.schema, reason: minimal.failure.reason, mutations, file, regression: Boolean(testCase.file) });
+      this.log(`${testCase.schema}: ${mutations.join(' + ')} -> ${minimal.failure.reason}${file ? ` (${file})` : ''}`, 'warning');
+    }
+
+    return {
+      seed: this.seed,
+      schemas: this.schemas,
+      skipped: this.skipped,
+      cases: cases.length,
+      regressions: regressions.length,
+      failures
+    };
+  }
+
+  // { failed, reason, dto } - failed means the server accepted the DTO
+  // (reason 'accepted') or answered 5xx. Anything that is neither a clean
+  // refusal nor a failure (network down, rate limited for good, safe mode)
+  // is thrown: the case proved nothing.
+  async runCase(testCase) {
+    const schema = DTO_SCHEMAS[testCase.schema];
+    const dto = applyMutations(schema.build(this.context), testCase.mutations);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.client.makeRequest(schema.endpoint, 'POST', dto, { baseUrl: this.baseUrlFor(testCase.schema), retries: 0 });
+        return { failed: true, reason: 'accepted', dto };
+      } catch (error) {
+        const wait = error.retryAfterMs ?? 1000;
+        if (error instanceof RateLimitError && attempt < RATE_LIMIT_RETRIES && wait <= MAX_RATE_LIMIT_WAIT_MS) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+          continue;
+        }
+        if (error.status >= 500) {
+          return { failed: true, reason: `server error ${error.status}`, dto };
+        }
+        if (isCleanRejection(error)) {
+          return { failed: false, status: error.status, dto };
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Drops mutations while the case still fails, then swaps each remaining
+  // value for a simpler one of the same kind
+  async shrink(testCase, failure) {
+    let current = testCase;
+    let currentFailure = failure;
+    let attempts = 0;
+
+    const tryCandidate = async (mutations) => {
+      attempts++;
+      const candidate = { ...current, mutations };
+      const result = await this.runCase(candidate);
+      if (result.failed) {
+        current = candidate;
+        currentFailure = result;
+      }
+      return result.failed;
+    };
+
+    for (let i = current.mutations.length - 1; i >= 0 && current.mutations.length > 1 && attempts < MAX_SHRINK_ATTEMPTS; i--) {
+      await tryCandidate(current.mutations.filter((_, j) => j !== i));
+    }
+
+    const base = DTO_SCHEMAS[testCase.schema].build(this.context);
+    for (let i = 0; i < current.mutations.length; i++) {
+      const mutation = current.mutations[i];
+      const candidates = candidatesFor(mutation.kind, mutation.type, getPath(base, mutation.path), this.context);
+      for (let index = 0; index < mutation.index && attempts < MAX_SHRINK_ATTEMPTS; index++) {
+        const simpler = { ...mutation, index, value: candidates[index] };
+        if (await tryCandidate(current.mutations.map((m, j) => (j === i ? simpler : m)))) break;
+      }
+    }
+
+    return { testCase: current, failure: currentFailure, attempts };
+  }
+
+  // Named by schema and a hash of the mutations, so finding the same case
+  // again overwrites it rather than piling up copies
+  saveRegression(testCase, failure) {
+    if (!this.regressionDir) return null;
+    const schema = DTO_SCHEMAS[testCase.schema];
+    const mutations = testCase.mutations.map(({ path: fieldPath, type, kind, index, value }) => ({ path: fieldPath, type, kind, index, value }));
+    const hash = crypto.createHash('sha256').update(JSON.stringify([testCase.schema, mutations])).digest('hex').slice(0, 12);
+    const file = path.join(this.regressionDir, `${testCase.schema}-${hash}.json`);
+
+    fs.mkdirSync(this.regressionDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      schema: testCase.schema,
+      endpoint: schema.endpoint,
+      seed: this.seed,
+      reason: failure.reason,
+      mutations,
+      dto: failure.dto,
+      foundAt: new Date().toISOString()
+    }, null, 2) + '\n');
+    return file;
+  }
+
+  // Saved cases for the schemas under test; unreadable files are reported
+  // and skipped rather than failing the run
+  loadRegressions() {
+    if (!this.regressionDir || !fs.existsSync(this.regressionDir)) return [];
+
+    const cases = [];
+    for (const name of fs.readdirSync(this.regressionDir).filter(entry => entry.endsWith('.json')).sort()) {
+      const file = path.join(this.regressionDir, name);
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!DTO_SCHEMAS[saved.schema] || !Array.isArray(saved.mutations)) {
+          throw new Error('not a DTO fuzzing regression case');
+        }
+        if (this.schemas.includes(saved.schema)) {
+          cases.push({ id: `regression:${name}`, schema: saved.schema, mutations: saved.mutations, file });
+        }
+      } catch (error) {
+        this.log(`Skipping regression case ${file}: ${error.message}`, 'warning');
+      }
+    }
+    return cases;
+  }
+}
@@ -0,0 +1,107 @@
+// Named environment profiles. Pick one with BRIDGEGUARD_ENV or --env;
+// API_BASE_URL / SWAP_BASE_URL override the URLs of any profile.
+
+const DEFAULT_CHAIN_IDS = {
+  galachain: 1,
+  ethereum: 2,
+  ton: 1001,
+  solana: 1002
+};
+
+// Profiles are built from the environment at load time so .env values apply
+export const ENVIRONMENTS = {
+  prod: () => ({
+    apiBaseUrl: 'https://dex-backend-prod1.defi.gala.com',
+    swapBaseUrl: 'https://api-galaswap.gala.com',
+    chainIds: DEFAULT_CHAIN_IDS
+  }),
+  // Staging hosts are not public, so they come from the environment
+  stage: env => ({
+    apiBaseUrl: env.STAGE_API_BASE_URL,
+    swapBaseUrl: env.STAGE_SWAP_BASE_URL || env.STAGE_API_BASE_URL,
+    chainIds: DEFAULT_CHAIN_IDS
+  }),
+  // The mock server from src/mock-server.js serves every route on one port
+  local: env => ({
+    apiBaseUrl: `http://127.0.0.1:${env.MOCK_PORT || 8787}`,
+    swapBaseUrl: `http://127.0.0.1:${env.MOCK_PORT || 8787}`,
+    chainIds: DEFAULT_CHAIN_IDS
+  }),
+  // Everything comes from API_BASE_URL / SWAP_BASE_URL / CHAIN_IDS
+  custom: () => ({
+    apiBaseUrl: undefined,
+    swapBaseUrl: undefined,
+    chainIds: DEFAULT_CHAIN_IDS
+  })
+};
+
+export const DEFAULT_ENVIRONMENT = 'prod';
+
+// --env <name> or --env=<name> wins over BRIDGEGUARD_ENV
+export function resolveEnvironmentName(argv = process.argv.slice(2), env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--env' && argv[i + 1]) return argv[i + 1];
+    if (argv[i].startsWith('--env=')) return argv[i].slice('--env='.length);
+  }
+  return env.BRIDGEGUARD_ENV || DEFAULT_ENVIRONMENT;
+}
+
+function parseChainIds(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`CHAIN_IDS must be JSON, e.g. {"ethereum":2} (got ${value})`);
+  }
+}
+
+export function loadEnvironment(name = resolveEnvironmentName(), env = process.env) {
+  if (!ENVIRONMENTS[name]) {
+    throw new Error(`Unknown environment: ${name} (expected ${Object.keys(ENVIRONMENTS).join(', ')})`);
+  }
+  const profile = ENVIRONMENTS[name](env);
+
+  const apiBaseUrl = env.API_BASE_URL || profile.apiBaseUrl;
+  return {
+    name,
+    apiBaseUrl,
+    swapBaseUrl: env.SWAP_BASE_URL || profile.swapBaseUrl || apiBaseUrl,
+    chainIds: { ...profile.chainIds, ...parseChainIds(env.CHAIN_IDS) }
+  };
+}
+
+// Returns a list of problems with a loaded environment
+export function checkEnvironment(environment) {
+  const problems = [];
+
+  for (const key of ['apiBaseUrl', 'swapBaseUrl']) {
+    const value = environment[key];
+    if (!value) {
+      problems.push(`${key} is not set for environment "${environment.name}"`);
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      problems.push(`${key} is not a valid URL: ${value}`);
+      continue;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`${key} must use http or https: ${value}`);
+    } else if (environment.name !== 'local' && url.protocol !== 'https:'
+      && !['127.0.0.1', 'localhost'].includes(url.hostname)) {
+      problems.push(`${key} must use https outside the local profile: ${value}`);
+    }
+  }
+
+  for (const [chain, id] of Object.entries(environment.chainIds || {})) {
+    if (!Number.isInteger(id) || id <= 0) {
+      problems.push(`Chain ID for ${chain} must be a positive integer (got ${id})`);
+    }
+  }
+
+  return problems;
+}
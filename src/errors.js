@@ -0,0 +1,91 @@
+// Errors thrown by GalaBridgeClient and the security tests. Check with
+// instanceof rather than matching on error.message.
+
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, endpoint = null, method = null, code = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status; // null when no response came back (network error, timeout)
+    this.body = body;     // parsed JSON, or the raw text for non-JSON bodies
+    this.endpoint = endpoint;
+    this.method = method;
+    this.code = code;     // 'ETIMEDOUT' for client-side timeouts
+  }
+
+  get retryable() {
+    return this.status === null || this.status === 429 || this.status >= 500;
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 429 });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+// 401 and 403 - bad signature, wrong wallet, or not allowed
+export class AuthError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// Thrown by a security test when the server (or the signer) does what it
+// must not. Any other error means the test could not complete, which is a
+// failure of the run rather than a finding. vector overrides the test's
+// declared CVSS vector when one test can find problems of different weight.
+export class SecurityFinding extends Error {
+  constructor(message, { vector = null } = {}) {
+    super(message);
+    this.name = 'SecurityFinding';
+    this.vector = vector;
+  }
+}
+
+// Thrown by GalaBridgeClient before sending a value-moving request the run
+// is not armed for (see safe-mode.js); nothing reached the server
+export class SafeModeError extends Error {
+  constructor(message, { method = null, endpoint = null } = {}) {
+    super(message);
+    this.name = 'SafeModeError';
+    this.method = method;
+    this.endpoint = endpoint;
+  }
+}
+
+// Thrown when a replayed cassette has no recorded response for a request
+// (see cassette.js); body is the normalized body that was looked up
+export class CassetteMissError extends Error {
+  constructor(message, { method = null, endpoint = null, body = null } = {}) {
+    super(message);
+    this.name = 'CassetteMissError';
+    this.method = method;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function errorFromResponse(status, body, { endpoint, method, retryAfter } = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const message = `API Error: ${status} - ${text}`;
+  const details = { status, body, endpoint, method };
+
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfterMs: parseRetryAfter(retryAfter) });
+  }
+  if (status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+  return new ApiError(message, details);
+}
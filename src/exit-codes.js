@@ -0,0 +1,9 @@
+// Exit codes shared by every bridgeguard subcommand
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  TEST_FAILURES: 1,
+  CRITICAL_FINDINGS: 2,
+  ERROR: 3,
+  USAGE: 4,
+  INTERRUPTED: 130
+};
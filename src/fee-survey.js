@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { GalaBridgeClient } from './api-client.js';
+import { toTokenClass } from './bridge-tester.js';
+import { parseUnits } from './balance-reconciler.js';
+import { CHAIN_PROFILES, chainForId } from './chains.js';
+import { createAlertSinks } from './alert-sinks.js';
+import { config, validateConfig } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { recordTestOutcome } from './metrics.js';
+
+// Fee survey: a quote-only /v1/connect/bridge/request for every token and
+// destination chain in the bridge configurations, compared against
+// thresholds and the previous quote for the same pair.
+
+export const FEE_ALERT_KINDS = {
+  'unexpected-fee-token': { severity: 'high', title: 'Fee quoted in an unexpected token' },
+  'fee-above-threshold': { severity: 'medium', title: 'Fee above the configured maximum' },
+  'fee-jump': { severity: 'medium', title: 'Fee jumped since the previous quote' }
+};
+
+// Quotes kept per token/chain pair in the history file
+const HISTORY_PER_PAIR = 200;
+
+export function pairId(pair) {
+  return `fee-${pair.symbol}-${pair.destinationChainId}`;
+}
+
+export function feePairsFromConfigurations(response) {
+  const pairs = [];
+  for (const token of response?.data?.tokens || []) {
+    for (const route of token.canBridgeTo || []) {
+      for (const chainId of route.destinationChainIds || []) {
+        pairs.push({ symbol: token.symbol, destinationChainId: String(chainId), network: route.network });
+      }
+    }
+  }
+  return pairs;
+}
+
+export function defaultFeeHistoryPath(environmentName, historyDir = config.fees.historyDir) {
+  return path.join(historyDir, `fee-history.${environmentName}.json`);
+}
+
+export function loadFeeHistory(file) {
+  if (!fs.existsSync(file)) return { quotes: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function saveFeeHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(history, null, 2) + '\n');
+}
+
+// Returns the alerts for one quote. Thresholds and jumps only make sense in
+// an expected fee token, and a jump only against a quote in the same token.
+export function evaluateFeeQuote(quote, previous, thresholds) {
+  const alerts = [];
+  const alert = (kind, message) => alerts.push({ kind, severity: FEE_ALERT_KINDS[kind].severity, message });
+  const label = `${quote.symbol} → chain ${quote.destinationChainId}`;
+
+  if (!thresholds.expectedFeeTokens.includes(quote.feeToken)) {
+    alert('unexpected-fee-token', `${label}: fee quoted in ${quote.feeToken}, expected ${thresholds.expectedFeeTokens.join(' or ')}`);
+    return alerts;
+  }
+
+  const fee = parseUnits(quote.fee);
+  const max = thresholds.maxFeeByChain[quote.destinationChainId] ?? thresholds.maxFee;
+  if (max !== undefined && fee > parseUnits(max)) {
+    alert('fee-above-threshold', `${label}: fee ${quote.fee} ${quote.feeToken} is above the maximum of ${max}`);
+  }
+
+  if (previous && previous.feeToken === quote.feeToken) {
+    const before = parseUnits(previous.fee);
+    // fee > before * (1 + jump%), in integer maths
+    if (before > 0n && (fee - before) * 100n > before * BigInt(thresholds.jumpPercent)) {
+      const percent = Number(((fee - before) * 10000n) / before) / 100;
+      alert('fee-jump', `${label}: fee rose ${percent}% from ${previous.fee} to ${quote.fee} ${quote.feeToken} since ${previous.takenAt}`);
+    }
+  }
+
+  return alerts;
+}
+
+export class FeeSurvey {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.environment = options.environment || config.environment.name;
+    this.quantity = options.quantity || config.fees.quantity;
+    this.recipients = options.recipients || config.bridge.recipients;
+    this.thresholds = {
+      maxFee: options.maxFee ?? config.fees.maxFee,
+      maxFeeByChain: options.maxFeeByChain || config.fees.maxFeeByChain,
+      jumpPercent: options.jumpPercent ?? config.fees.jumpPercent,
+      expectedFeeTokens: options.expectedFeeTokens || config.fees.expectedFeeTokens
+    };
+    this.historyFile = options.historyFile || defaultFeeHistoryPath(this.environment);
+    this.sinks = options.sinks || createAlertSinks(config.monitor.alerts);
+    this.results = [];
+    this.alerts = [];
+    this.pendingDeliveries = [];
+  }
+
+  async getPairs() {
+    const response = await this.client.getBridgeConfigurations();
+    return feePairsFromConfigurations(response);
+  }
+
+  // Quotes move nothing, so chains without a configured recipient use the sample one
+  recipientFor(pair) {
+    const chain = chainForId(this.client.chainIds, pair.destinationChainId);
+    if (!chain) {
+      throw new Error(`No chain profile for destination chain ${pair.destinationChainId}`);
+    }
+    return this.recipients[chain] || CHAIN_PROFILES[chain].sampleRecipient;
+  }
+
+  async quote(pair) {
+    const response = await this.client.requestBridge(
+      this.client.auth.walletAddress,
+      pair.destinationChainId,
+      this.recipientFor(pair),
+      this.quantity,
+      toTokenClass(pair.symbol),
+      { quoteOnly: true }
+    );
+    if (response?.data?.fee === undefined) {
+      throw new Error('Quote has no fee');
+    }
+    return {
+      takenAt: new Date().toISOString(),
+      symbol: pair.symbol,
+      destinationChainId: pair.destinationChainId,
+      network: pair.network,
+      fee: String(response.data.fee),
+      feeToken: response.data.feeToken,
+      quantity: this.quantity
+    };
+  }
+
+  async run(options = {}) {
+    const history = loadFeeHistory(this.historyFile);
+    const pairs = (await this.getPairs()).filter(pair => !options.filter || options.filter(pairId(pair)));
+    console.log(`💸 Quoting ${pairs.length} token/chain pairs (${this.quantity} of each)`);
+
+    for (const pair of pairs) {
+      const id = pairId(pair);
+      const startedAt = Date.now();
+      const previous = history.quotes.findLast(q => q.symbol === pair.symbol && q.destinationChainId === pair.destinationChainId);
+
+      let result;
+      try {
+        const quote = await this.quote(pair);
+        const alerts = evaluateFeeQuote(quote, previous, this.thresholds);
+        history.quotes.push(quote);
+        alerts.forEach(alert => this.raise(pair, alert));
+
+        console.log(`${alerts.length ? '⚠️' : '✅'} ${pair.symbol} → ${pair.network} (${pair.destinationChainId}): ${quote.fee} ${quote.feeToken}`);
+        result = {
+          id,
+          name: `${pair.symbol} to ${pair.network} (${pair.destinationChainId})`,
+          success: alerts.length === 0,
+          severity: alerts.find(alert => alert.severity === 'high') ? 'high' : alerts.length ? 'medium' : undefined,
+          error: alerts.length ? alerts.map(alert => alert.message).join('; ') : undefined,
+          evidence: alerts.map(alert => alert.message),
+          quote,
+          previous: previous || null,
+          alerts
+        };
+      } catch (error) {
+        console.log(`❌ ${pair.symbol} → ${pair.network} (${pair.destinationChainId}): ${error.message}`);
+        result = { id, name: `${pair.symbol} to ${pair.network} (${pair.destinationChainId})`, success: false, error: error.message };
+      }
+
+      result.duration = Date.now() - startedAt;
+      recordTestOutcome('fees', id, result.success, result.duration);
+      this.results.push(result);
+    }
+
+    saveFeeHistory(this.historyFile, { environment: this.environment, quotes: trimHistory(history.quotes) });
+    // Let webhook and email deliveries finish before the CLI exits
+    await Promise.allSettled(this.pendingDeliveries);
+    return this.results;
+  }
+
+  raise(pair, alert) {
+    const sent = {
+      type: 'fee',
+      key: `${this.environment}:${pairId(pair)}:${alert.kind}`,
+      probe: pairId(pair),
+      name: `${pair.symbol} bridge fee to chain ${pair.destinationChainId}`,
+      endpoint: 'POST /v1/connect/bridge/request',
+      environment: this.environment,
+      kind: alert.kind,
+      severity: alert.severity,
+      error: alert.message,
+      timestamp: new Date().toISOString()
+    };
+    this.alerts.push(sent);
+
+    for (const sink of this.sinks) {
+      this.pendingDeliveries.push(sink.send(sent)
+        .catch(error => console.error(`⚠️ Alert sink ${sink.name} failed: ${error.message}`)));
+    }
+  }
+}
+
+function trimHistory(quotes) {
+  const counts = new Map();
+  const kept = [];
+  // Walk newest first so each pair keeps its latest HISTORY_PER_PAIR quotes
+  for (let i = quotes.length - 1; i >= 0; i--) {
+    const key = `${quotes[i].symbol}|${quotes[i].destinationChainId}`;
+    const count = counts.get(key) || 0;
+    if (count < HISTORY_PER_PAIR) {
+      kept.push(quotes[i]);
+      counts.set(key, count + 1);
+    }
+  }
+  return kept.reverse();
+}
+
+// Fee survey behind `bridgeguard fees`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runFeeSurvey(options = {}) {
+  try {
+    validateConfig();
+
+    const client = new GalaBridgeClient(
+      config.wallet.privateKey,
+      config.wallet.publicKey,
+      config.wallet.address,
+      { signingScheme: config.wallet.signingScheme, environment: config.environment }
+    );
+    const survey = new FeeSurvey(client);
+    const { thresholds } = survey;
+
+    if (options.dryRun) {
+      console.log('📝 Dry run - every token/chain pair in the bridge configurations would be quoted');
+      console.log(`   max fee: ${thresholds.maxFee ?? 'none'}, per chain: ${JSON.stringify(thresholds.maxFeeByChain)}`);
+      console.log(`   jump alert: +${thresholds.jumpPercent}%, expected fee tokens: ${thresholds.expectedFeeTokens.join(', ')}`);
+      console.log(`   history: ${survey.historyFile}`);
+      return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, thresholds, historyFile: survey.historyFile } };
+    }
+
+    const results = await survey.run({ filter: options.filter });
+    if (results.length === 0) {
+      console.error('💥 No token/chain pairs to quote (check --only/--skip)');
+      return { exitCode: EXIT_CODES.USAGE, report: { error: 'No pairs selected' } };
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    console.log(`\n📊 ${results.length - failed}/${results.length} fees within limits, ${survey.alerts.length} alerts`);
+    console.log(`💾 Fee history: ${survey.historyFile}`);
+
+    const exitCode = survey.alerts.some(alert => alert.severity === 'high')
+      ? EXIT_CODES.CRITICAL_FINDINGS
+      : failed > 0 ? EXIT_CODES.TEST_FAILURES : EXIT_CODES.SUCCESS;
+
+    return {
+      exitCode,
+      report: {
+        thresholds,
+        historyFile: survey.historyFile,
+        alerts: survey.alerts,
+        suites: [{ name: 'fees', kind: 'security', results }]
+      }
+    };
+  } catch (error) {
+    console.error(`\n💥 Fee survey failed: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+}
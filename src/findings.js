@@ -0,0 +1,135 @@
+// Findings: what a failed security test found, as one record per finding
+// with a severity, a CVSS-style score and the evidence behind it. Whether a
+// test passed is tracked separately: a test that could not finish (network
+// down, bad config) has no finding, only an error.
+
+import { EXIT_CODES } from './exit-codes.js';
+
+export const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Score used when a test declares a severity but no vector
+export const SEVERITY_SCORES = {
+  critical: 9.0,
+  high: 7.5,
+  medium: 5.0,
+  low: 3.0,
+  info: 0.0
+};
+
+// CVSS v3.1 base metric weights
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  UI: { N: 0.85, R: 0.62 },
+  S: { U: 'U', C: 'C' },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// PR weighs more when the scope changes
+const PR_SCOPE_CHANGED = { N: 0.85, L: 0.68, H: 0.5 };
+
+// "CVSS:3.1/AV:N/AC:L/..." -> { AV: 'N', AC: 'L', ... }; throws on anything
+// that is not a complete base vector
+export function parseCvssVector(vector) {
+  const [prefix, ...parts] = String(vector).split('/');
+  if (prefix !== 'CVSS:3.1' && prefix !== 'CVSS:3.0') {
+    throw new Error(`Invalid CVSS vector ${vector}: must start with CVSS:3.1/`);
+  }
+
+  const metrics = {};
+  for (const part of parts) {
+    const [metric, value] = part.split(':');
+    if (!CVSS_WEIGHTS[metric] || CVSS_WEIGHTS[metric][value] === undefined || metrics[metric]) {
+      throw new Error(`Invalid CVSS vector ${vector}: bad metric ${part}`);
+    }
+    metrics[metric] = value;
+  }
+
+  const missing = Object.keys(CVSS_WEIGHTS).filter(metric => !metrics[metric]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid CVSS vector ${vector}: missing ${missing.join(', ')}`);
+  }
+  return metrics;
+}
+
+// CVSS v3.1 Roundup: the smallest one-decimal number >= value, computed in
+// integers so 4.000000001 does not become 4.1
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+// CVSS v3.1 base score, 0.0 - 10.0
+export function scoreCvssVector(vector) {
+  const m = parseCvssVector(vector);
+  const changed = m.S === 'C';
+
+  const iss = 1 - (1 - CVSS_WEIGHTS.C[m.C]) * (1 - CVSS_WEIGHTS.I[m.I]) * (1 - CVSS_WEIGHTS.A[m.A]);
+  const impact = changed
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const privileges = changed ? PR_SCOPE_CHANGED[m.PR] : CVSS_WEIGHTS.PR[m.PR];
+  const exploitability = 8.22 * CVSS_WEIGHTS.AV[m.AV] * CVSS_WEIGHTS.AC[m.AC] * privileges * CVSS_WEIGHTS.UI[m.UI];
+
+  if (impact <= 0) return 0;
+  return changed
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+}
+
+// CVSS qualitative rating; a score of 0.0 ("None") is info
+export function severityForScore(score) {
+  if (score >= 9.0) return 'critical';
+  if (score >= 7.0) return 'high';
+  if (score >= 4.0) return 'medium';
+  if (score > 0) return 'low';
+  return 'info';
+}
+
+// One finding for a failed test. test is the registry declaration; a vector
+// on the result (from SecurityFinding) overrides the declared one when a
+// test can find more than one kind of problem.
+export function createFinding(test, result, meta = {}) {
+  const vector = result.vector || test.vector || null;
+  const score = vector ? scoreCvssVector(vector) : SEVERITY_SCORES[test.severity];
+  return {
+    id: test.id,
+    title: test.name,
+    category: test.category,
+    severity: vector ? severityForScore(score) : test.severity,
+    score,
+    vector,
+    message: result.error,
+    evidence: result.evidence || [],
+    environment: meta.environment,
+    foundAt: new Date().toISOString()
+  };
+}
+
+export function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0]));
+  findings.forEach(finding => counts[finding.severity]++);
+  return counts;
+}
+
+export function sortFindings(findings) {
+  return [...findings].sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+// Verdict and exit code for a security run:
+//   CRITICAL  any critical or high finding                    -> exit 2
+//   GOOD      medium/low findings, or tests that errored      -> exit 1
+//   EXCELLENT nothing above info and every test completed     -> exit 0
+export function assessFindings(findings, { errors = 0 } = {}) {
+  const counts = countBySeverity(findings);
+  if (counts.critical > 0 || counts.high > 0) {
+    return { verdict: 'CRITICAL', exitCode: EXIT_CODES.CRITICAL_FINDINGS, counts };
+  }
+  if (counts.medium > 0 || counts.low > 0 || errors > 0) {
+    return { verdict: 'GOOD', exitCode: EXIT_CODES.TEST_FAILURES, counts };
+  }
+  return { verdict: 'EXCELLENT', exitCode: EXIT_CODES.SUCCESS, counts };
+}
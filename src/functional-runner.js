@@ -0,0 +1,151 @@
+import { GalaBridgeClient } from './api-client.js';
+import { BridgeTester } from './bridge-tester.js';
+import { config, validateConfig } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { CHAIN_PROFILES, advertisedDestinations } from './chains.js';
+
+// Destinations advertised by bridge-configurations that have a recipient
+// configured. A dry run does not call the API, so it lists every chain
+// with a recipient instead.
+async function resolveBridgeDestinations(client, options) {
+  const { recipients, testTokenClass } = config.bridge;
+  let destinations;
+
+  if (options.dryRun) {
+    destinations = Object.keys(CHAIN_PROFILES)
+      .filter(chain => client.chainIds?.[chain])
+      .map(chain => ({ chain, chainId: client.chainIds[chain], network: CHAIN_PROFILES[chain].name, tokenClass: testTokenClass }));
+  } else {
+    const configurations = await client.getBridgeConfigurations();
+    destinations = advertisedDestinations(configurations, client.chainIds || {}, testTokenClass);
+  }
+
+  return destinations.filter(destination => {
+    if (!destination.chain) {
+      console.log(`⚠️  Skipping chain ${destination.chainId} (${destination.network}) - no chain profile`);
+      return false;
+    }
+    if (!recipients[destination.chain]) {
+      console.log(`⚠️  Skipping ${destination.network} - set TEST_RECIPIENT_${destination.chain.toUpperCase()} to test it`);
+      return false;
+    }
+    return true;
+  }).map(destination => ({ ...destination, recipient: recipients[destination.chain] }));
+}
+
+// Functional suite behind `bridgeguard functional`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runFunctionalTests(options = {}) {
+  try {
+    // Validate configuration
+    console.log('📋 Validating configuration...');
+    validateConfig();
+    console.log('✅ Configuration valid');
+
+    // Initialize client
+    console.log(`🔌 Connecting to GalaChain API (${config.environment.name}: ${config.environment.apiBaseUrl})...`);
+    const client = new GalaBridgeClient(
+      config.wallet.privateKey,
+      config.wallet.publicKey,
+      config.wallet.address,
+      { signingScheme: config.wallet.signingScheme, environment: config.environment }
+    );
+
+    // Initialize tester
+    const tester = new BridgeTester(client);
+
+    // Prepare test options
+    const testOptions = { filter: options.filter };
+    const hasRecipient = Object.values(config.bridge.recipients).some(Boolean);
+    if (config.testing.runBridgeTests && hasRecipient) {
+      const destinations = await resolveBridgeDestinations(client, options);
+      testOptions.bridgeTest = {
+        destinations,
+        amount: config.bridge.testAmount,
+        lifecycle: config.bridge.runLifecycle,
+        lifecycleOptions: { timeoutMs: config.bridge.statusTimeoutMs }
+      };
+      destinations.forEach(destination => {
+        console.log(`🧪 Bridge testing enabled for ${destination.tokenClass} to ${destination.network} (${destination.chainId}): ${destination.recipient}`);
+      });
+      if (config.bridge.runLifecycle) {
+        console.log('🔁 Full bridge-out lifecycle enabled (RequestTokenBridgeOut → BridgeTokenOut → status)');
+      }
+    } else {
+      console.log('⚠️  Bridge testing disabled (set RUN_BRIDGE_TESTS=true and provide a recipient address)');
+    }
+
+    // Following a bridge-in moves nothing, so it only needs a hash
+    if (config.bridge.bridgeIn.hash) {
+      const { hash, sourceChainId, tokenClass, quantity } = config.bridge.bridgeIn;
+      testOptions.bridgeIn = {
+        hash,
+        sourceChainId: sourceChainId ?? client.chainIds?.ethereum ?? 2,
+        tokenClass,
+        quantity,
+        lifecycleOptions: { timeoutMs: config.bridge.statusTimeoutMs }
+      };
+      console.log(`📥 Bridge-in tracking enabled for ${tokenClass} from chain ${testOptions.bridgeIn.sourceChainId}: ${hash}`);
+    }
+
+    if (options.dryRun) {
+      const plan = tester.getTestPlan(testOptions).map(({ id, name }) => ({ id, name }));
+      console.log('\n📝 Dry run - tests that would run:');
+      plan.forEach(test => console.log(`  • ${test.id} (${test.name})`));
+      return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, plan } };
+    }
+
+    // Run all tests
+    console.log('\n🚀 Starting test suite...');
+    const summary = await tester.runAllTests(testOptions);
+
+    // Display results
+    console.log('\n📊 Test Results:');
+    console.log('=' .repeat(50));
+    console.log(`Total Tests: ${summary.total}`);
+    console.log(`✅ Passed: ${summary.passed}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+
+    if (summary.failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      summary.results
+        .filter(r => !r.success)
+        .forEach(result => {
+          console.log(`  • ${result.id}: ${result.error}`);
+        });
+    }
+
+    // Get detailed results
+    const detailedResults = tester.getTestResults();
+    console.log(`\n📝 Total Log Entries: ${detailedResults.logs.length}`);
+    console.log(`  Errors: ${detailedResults.summary.errors}`);
+    console.log(`  Warnings: ${detailedResults.summary.warnings}`);
+    console.log(`  Successes: ${detailedResults.summary.successes}`);
+
+    return {
+      exitCode: summary.failed > 0 ? EXIT_CODES.TEST_FAILURES : EXIT_CODES.SUCCESS,
+      report: {
+        summary,
+        testResults: detailedResults,
+        suites: [{ name: 'functional', kind: 'functional', results: detailedResults.results }]
+      }
+    };
+
+  } catch (error) {
+    console.error('\n💥 Fatal Error:', error.message);
+
+    if (error.message.includes('Missing required configuration')) {
+      console.log('\n📝 Setup Instructions:');
+      console.log('1. Copy .env.example to .env');
+      console.log('2. Fill in your wallet credentials');
+      console.log('3. Configure bridge test parameters (set TEST_RECIPIENT for Ethereum address)');
+      console.log('4. Run the bot again');
+    }
+
+    if (error.message.includes('Wallet configuration mismatch')) {
+      console.log('\n📝 PUBLIC_KEY and WALLET_ADDRESS are optional - leave them empty to derive them from PRIVATE_KEY');
+    }
+
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+}
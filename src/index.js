@@ -1,101 +1,34 @@
-#!/usr/bin/env node
+// Library entry point. The command line lives in cli.js.
 
-import { GalaBridgeClient } from './api-client.js';
-import { BridgeTester } from './bridge-tester.js';
-import { config, validateConfig } from './config.js';
-
-async function main() {
-  console.log('🌉 BridgeGuard - GalaChain Bridge Testing Bot');
-  console.log('=' .repeat(50));
-  
-  try {
-    // Validate configuration
-    console.log('📋 Validating configuration...');
-    validateConfig();
-    console.log('✅ Configuration valid');
-    
-    // Initialize client
-    console.log('🔌 Connecting to GalaChain API...');
-    const client = new GalaBridgeClient(
-      config.wallet.privateKey,
-      config.wallet.publicKey,
-      config.wallet.address
-    );
-    
-    // Initialize tester
-    const tester = new BridgeTester(client);
-    
-    // Prepare test options
-    const testOptions = {};
-    if (config.testing.runBridgeTests && config.bridge.testRecipient) {
-      testOptions.bridgeTest = {
-        tokenClass: config.bridge.testTokenClass,
-        amount: config.bridge.testAmount,
-        recipient: config.bridge.testRecipient
-      };
-      console.log(`🧪 Bridge testing enabled for ${config.bridge.testTokenClass} to ${config.bridge.testRecipient}`);
-    } else {
-      console.log('⚠️  Bridge testing disabled (set RUN_BRIDGE_TESTS=true and provide recipient address)');
-    }
-    
-    // Run all tests
-    console.log('\n🚀 Starting test suite...');
-    const summary = await tester.runAllTests(testOptions);
-    
-    // Display results
-    console.log('\n📊 Test Results:');
-    console.log('=' .repeat(50));
-    console.log(`Total Tests: ${summary.total}`);
-    console.log(`✅ Passed: ${summary.passed}`);
-    console.log(`❌ Failed: ${summary.failed}`);
-    
-    if (summary.failed > 0) {
-      console.log('\n❌ Failed Tests:');
-      summary.results
-        .filter(r => !r.success)
-        .forEach(result => {
-          console.log(`  • ${result.error}`);
-        });
-    }
-    
-    // Get detailed results
-    const detailedResults = tester.getTestResults();
-    console.log(`\n📝 Total Log Entries: ${detailedResults.logs.length}`);
-    console.log(`  Errors: ${detailedResults.summary.errors}`);
-    console.log(`  Warnings: ${detailedResults.summary.warnings}`);
-    console.log(`  Successes: ${detailedResults.summary.successes}`);
-    
-    // Exit with appropriate code
-    process.exit(summary.failed > 0 ? 1 : 0);
-    
-  } catch (error) {
-    console.error('\n💥 Fatal Error:', error.message);
-    
-    if (error.message.includes('Missing required configuration')) {
-      console.log('\n📝 Setup Instructions:');
-      console.log('1. Copy .env.example to .env');
-      console.log('2. Fill in your wallet credentials');
-      console.log('3. Configure bridge test parameters (set TEST_RECIPIENT for Ethereum address)');
-      console.log('4. Run the bot again');
-    }
-    
-    process.exit(1);
-  }
-}
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n👋 Shutting down BridgeGuard...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\n👋 Shutting down BridgeGuard...');
-  process.exit(0);
-});
-
-// Run the bot
-main().catch(error => {
-  console.error('Unhandled error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+export { GalaBridgeClient } from './api-client.js';
+export { ApiError, RateLimitError, AuthError, SecurityFinding, SafeModeError, CassetteMissError } from './errors.js';
+export { REQUEST_CLASSES, classifyRequest, SafeMode, getRunSafeMode, configureSafeMode } from './safe-mode.js';
+export { CASSETTE_MODES, Cassette, getRunCassette, configureCassette } from './cassette.js';
+export { TokenBucket, getSharedLimiter, backoffDelay } from './rate-limiter.js';
+export { GalaAuth, SIGNING_SCHEMES, DEFAULT_SIGNING_SCHEME, toChecksumAddress } from './auth.js';
+export { SIGNING_TEST_VECTORS, checkSigningVectors } from './signing-vectors.js';
+export { BridgeTester } from './bridge-tester.js';
+export { BridgeSecurityTester } from './security-tester.js';
+export { DTO_SCHEMAS, DtoFuzzer, createRandom, normalizeSeed, generateCases, applyMutations } from './dto-fuzzer.js';
+export { PublicAPITester, runPublicTests } from './public-test.js';
+export { BridgeLifecycleRunner, BridgeInRunner, TERMINAL_SUCCESS_STATES, TERMINAL_FAILURE_STATES } from './bridge-lifecycle.js';
+export { BalanceReconciler, parseUnits, formatUnits } from './balance-reconciler.js';
+export { CHAIN_PROFILES, WRONG_FORMAT_RECIPIENTS, checkRecipient, checkEthereumAddress, checkSolanaAddress, checkTonAddress, advertisedDestinations } from './chains.js';
+export { ENVIRONMENTS, DEFAULT_ENVIRONMENT, loadEnvironment, checkEnvironment } from './environments.js';
+export { MockGalaConnectServer, MOCK_MODES } from './mock-server.js';
+export { runFunctionalTests } from './functional-runner.js';
+export { runSecurityTests } from './security-test-runner.js';
+export { runSecurityDemo } from './security-demo.js';
+export { BridgeMonitor, MONITOR_SUITES, buildProbes, runMonitor } from './monitor.js';
+export { DRIFT_KINDS, snapshotBridgeConfigurations, diffBridgeConfigurations, isDrift, loadSnapshot, saveSnapshot, runDriftCheck } from './config-drift.js';
+export { FEE_ALERT_KINDS, FeeSurvey, feePairsFromConfigurations, evaluateFeeQuote, loadFeeHistory, runFeeSurvey } from './fee-survey.js';
+export { SwapTester, runSwapTests } from './swap-tester.js';
+export { ALLOWANCE_TYPES, BRIDGE_ALLOWANCE_TYPE, toAllowanceList, remainingAllowance } from './allowances.js';
+export { AllowanceTester, attemptBridgeFrom, runAllowanceTests } from './allowance-tester.js';
+export { StdoutSink, WebhookSink, SlackSink, EmailSink, createAlertSinks, formatAlert } from './alert-sinks.js';
+export { createTestFilter } from './test-filter.js';
+export { TEST_CAPABILITIES, TestRegistry, securityTests, registerSecurityTest, loadTestPlugins } from './test-registry.js';
+export { SEVERITY_ORDER, parseCvssVector, scoreCvssVector, severityForScore, createFinding, assessFindings } from './findings.js';
+export { REPORT_FORMATS, detectReportFormat, ruleIdFor, formatReport, writeReport } from './reporters.js';
+export { EXIT_CODES } from './exit-codes.js';
+export { metrics, MetricsRegistry, Counter, Gauge, Histogram, recordTestOutcome, startMetricsServer } from './metrics.js';
@@ -0,0 +1,216 @@
+import http from 'http';
+
+// Minimal Prometheus registry and exposition (text format 0.0.4).
+// The client, testers and lifecycle runner record into the shared
+// `metrics` registry; `bridgeguard ... --metrics-port` serves it.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// Bridge finality is minutes, not milliseconds
+const FINALITY_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200, 1800];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Only declared labels, in declared order, so the same series always gets the same key
+  pick(labels) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  getSeries(labels, create) {
+    const picked = this.pick(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+export const requestDuration = metrics.histogram(
+  'bridgeguard_http_request_duration_seconds',
+  'GalaBridgeClient request latency by endpoint',
+  ['method', 'endpoint']
+);
+export const requestsTotal = metrics.counter(
+  'bridgeguard_http_requests_total',
+  'GalaBridgeClient requests by endpoint and status code ("timeout" or "network_error" without a response)',
+  ['method', 'endpoint', 'status']
+);
+export const testStatus = metrics.gauge(
+  'bridgeguard_test_passed',
+  'Outcome of the last run of each test (1 passed, 0 failed)',
+  ['suite', 'test']
+);
+export const testDuration = metrics.gauge(
+  'bridgeguard_test_duration_seconds',
+  'Duration of the last run of each test',
+  ['suite', 'test']
+);
+export const testRunsTotal = metrics.counter(
+  'bridgeguard_test_runs_total',
+  'Test runs by outcome',
+  ['suite', 'test', 'outcome']
+);
+export const bridgeFee = metrics.gauge(
+  'bridgeguard_bridge_fee',
+  'Last quoted bridge-out fee, in units of fee_token',
+  ['token', 'fee_token', 'destination_chain']
+);
+export const timeToFinality = metrics.histogram(
+  'bridgeguard_bridge_time_to_finality_seconds',
+  'Time from BridgeTokenOut submission to a terminal success status',
+  ['token', 'destination_chain'],
+  FINALITY_BUCKETS
+);
+
+// Query strings are dropped so every call to an endpoint shares one series
+export function endpointLabel(endpoint) {
+  return endpoint.split('?')[0];
+}
+
+export function recordTestOutcome(suite, test, success, durationMs) {
+  testStatus.set({ suite, test }, success ? 1 : 0);
+  testRunsTotal.inc({ suite, test, outcome: success ? 'pass' : 'fail' });
+  if (durationMs !== undefined) {
+    testDuration.set({ suite, test }, durationMs / 1000);
+  }
+}
+
+export function startMetricsServer(port, { host = '0.0.0.0', registry = metrics } = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(registry.render());
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found - metrics are served at /metrics\n');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
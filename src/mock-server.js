@@ -0,0 +1,932 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { GalaAuth } from './auth.js';
+import { checkRecipient } from './chains.js';
+import { BRIDGE_ALLOWANCE_TYPE, remainingAllowance } from './allowances.js';
+import { parseUnits, formatUnits } from './balance-reconciler.js';
+
+// Local stand-in for the GalaConnect API used by GalaBridgeClient.
+// "secure" mode enforces the controls the security suite expects,
+// "vulnerable" mode turns them all off so every security test can fail.
+export const MOCK_MODES = ['secure', 'vulnerable'];
+
+const DEFAULT_BALANCES = {
+  GALA: '1000',
+  MUSIC: '100',
+  GWETH: '1',
+  GUSDC: '500'
+};
+
+// Subset of the real /v1/connect/bridge-configurations payload
+const BRIDGE_TOKENS = [
+  {
+    name: 'Gala',
+    symbol: 'GALA',
+    network: 'GC',
+    verified: true,
+    decimals: 8,
+    canBridgeTo: [
+      { network: 'Ethereum', symbol: 'GALA', destinationChainIds: ['2'] },
+      { network: 'Solana', symbol: 'GALA', destinationChainIds: ['1002'] }
+    ],
+    otherNetworks: [
+      { network: 'Ethereum', symbol: 'GALA', contractAddress: '0xd1d2Eb1B1e90B638588728b4130137D262C87cae' }
+    ]
+  },
+  {
+    name: 'Wrapped Ether (GalaChain)',
+    symbol: 'GWETH',
+    network: 'GC',
+    verified: true,
+    decimals: 18,
+    canBridgeTo: [
+      { network: 'Ethereum', symbol: 'WETH', destinationChainIds: ['2'] }
+    ],
+    otherNetworks: [
+      { network: 'Ethereum', symbol: 'WETH', contractAddress: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2' }
+    ]
+  },
+  {
+    name: 'USD Coin (GalaChain)',
+    symbol: 'GUSDC',
+    network: 'GC',
+    verified: true,
+    decimals: 6,
+    canBridgeTo: [
+      { network: 'Ethereum', symbol: 'USDC', destinationChainIds: ['2'] },
+      { network: 'TON', symbol: 'USDC', destinationChainIds: ['1001'] }
+    ],
+    otherNetworks: [
+      { network: 'Ethereum', symbol: 'USDC', contractAddress: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' }
+    ]
+  },
+  {
+    name: 'Music',
+    symbol: 'MUSIC',
+    network: 'GC',
+    verified: false,
+    decimals: 8,
+    canBridgeTo: [],
+    otherNetworks: []
+  }
+];
+
+const BRIDGE_FEES = { '2': '25', '1001': '1', '1002': '1' };
+const MOCK_CHAINS = { '2': 'ethereum', '1001': 'ton', '1002': 'solana' };
+
+class MockError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+export class MockGalaConnectServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.maxPayloadBytes = options.maxPayloadBytes || 50000;
+    this.rateLimit = {
+      capacity: 20, // 20 requests per 10 seconds, like production
+      windowMs: 10000,
+      ...options.rateLimit
+    };
+    this.duplicateWindowMs = options.duplicateWindowMs || 30000;
+    this.finalityMs = options.finalityMs ?? 3000;
+    this.quiet = options.quiet ?? true;
+    this.initialBridgeTokens = options.bridgeTokens || BRIDGE_TOKENS;
+    this.initialBridgeFees = options.bridgeFees || BRIDGE_FEES;
+    this.server = null;
+    this.setMode(options.mode || 'secure');
+    this.reset();
+  }
+
+  get url() {
+    if (!this.server) return null;
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}`;
+  }
+
+  get secure() {
+    return this.mode === 'secure';
+  }
+
+  setMode(mode) {
+    if (!MOCK_MODES.includes(mode)) {
+      throw new Error(`Unknown mock mode: ${mode} (expected ${MOCK_MODES.join(' or ')})`);
+    }
+    this.mode = mode;
+  }
+
+  reset() {
+    this.bridgeTokens = structuredClone(this.initialBridgeTokens);
+    this.bridgeFees = { ...this.initialBridgeFees };
+    this.feeToken = 'GALA';
+    this.usedUniqueKeys = new Set();
+    this.recentBridgeRequests = new Map();
+    this.bridgeRequests = new Map();
+    this.inboundTransfers = new Map();
+    this.balances = new Map();
+    this.swaps = new Map();
+    this.allowances = [];
+    this.rateBuckets = new Map();
+    this.requestLog = [];
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // =====================================================
+  // REQUEST HANDLING
+  // =====================================================
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://mock.local');
+    const { rawBody, tooLarge } = await this.readBody(req);
+    const entry = { timestamp: Date.now(), method: req.method, path: url.pathname, status: 200 };
+    this.requestLog.push(entry);
+
+    try {
+      if (this.secure) {
+        this.enforceRateLimit(req.socket.remoteAddress);
+        if (tooLarge) {
+          throw new MockError(413, 'payload too large');
+        }
+      }
+
+      let body = null;
+      if (rawBody.length > 0) {
+        try {
+          body = JSON.parse(rawBody.toString('utf8'));
+        } catch {
+          throw new MockError(400, 'Malformed JSON body');
+        }
+      }
+
+      if (url.pathname === '/__mock/mode' && req.method === 'POST') {
+        this.setMode(body?.mode);
+        return this.send(res, 200, { mode: this.mode });
+      }
+
+      // Swap the advertised bridge tokens to simulate configuration drift
+      if (url.pathname === '/__mock/bridge-configurations' && req.method === 'POST') {
+        if (!Array.isArray(body?.tokens)) {
+          throw new MockError(400, 'tokens must be an array');
+        }
+        this.bridgeTokens = body.tokens;
+        return this.send(res, 200, { tokens: this.bridgeTokens.length });
+      }
+
+      // Inbound transfer seen on the source chain, minted after finalityMs
+      if (url.pathname === '/__mock/bridge-in' && req.method === 'POST') {
+        return this.send(res, 200, { data: this.simulateBridgeIn(body || {}) });
+      }
+
+      // Change quoted fees per destination chain (and the fee token) to simulate fee anomalies
+      if (url.pathname === '/__mock/fees' && req.method === 'POST') {
+        Object.assign(this.bridgeFees, body?.fees);
+        this.feeToken = body?.feeToken || this.feeToken;
+        return this.send(res, 200, { fees: this.bridgeFees, feeToken: this.feeToken });
+      }
+
+      if (req.method === 'POST' && this.secure) {
+        const forbidden = findForbiddenKey(body);
+        if (forbidden) {
+          throw new MockError(400, `Forbidden key in body: ${forbidden}`);
+        }
+        this.verifySignedRequest(req, rawBody, body);
+      }
+
+      const result = await this.route(req.method, url, body, req.headers);
+      this.send(res, 200, result);
+    } catch (error) {
+      const status = error.status || 500;
+      entry.status = status;
+      this.send(res, status, { error: error.message }, error.headers);
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      // Keep draining past the limit so the client sees a clean 413
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxPayloadBytes) {
+          tooLarge = true;
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => resolve({ rawBody: Buffer.concat(chunks), tooLarge }));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, payload, headers = {}) {
+    if (!this.quiet) {
+      console.log(`🧪 Mock ${status}: ${JSON.stringify(payload).slice(0, 120)}`);
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  enforceRateLimit(clientKey) {
+    const { capacity, windowMs } = this.rateLimit;
+    const now = Date.now();
+    const bucket = this.rateBuckets.get(clientKey) || { tokens: capacity, updatedAt: now };
+
+    const refill = ((now - bucket.updatedAt) / windowMs) * capacity;
+    bucket.tokens = Math.min(capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+    this.rateBuckets.set(clientKey, bucket);
+
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil(((1 - bucket.tokens) / capacity) * windowMs / 1000);
+      throw new MockError(429, 'rate limit exceeded', { 'Retry-After': String(retryAfter) });
+    }
+    bucket.tokens -= 1;
+  }
+
+  verifySignedRequest(req, rawBody, body) {
+    const signature = req.headers['x-signature'];
+    if (!signature || !body?.signerPublicKey) {
+      throw new MockError(401, 'unauthorized: missing signature or signer public key');
+    }
+
+    const scheme = GalaAuth.detectScheme(signature);
+    if (!scheme || !GalaAuth.verifySignature(signature, body, body.signerPublicKey, scheme)) {
+      throw new MockError(401, 'invalid signature');
+    }
+
+    const headerAddress = req.headers['x-wallet-address'];
+    const bodyAddress = body.walletAddress || body.owner;
+    if (bodyAddress && headerAddress !== bodyAddress) {
+      throw new MockError(403, 'wallet address mismatch');
+    }
+
+    // eth| aliases are bound to the signing key; client| aliases are registered elsewhere
+    if (headerAddress?.startsWith('eth|')) {
+      const signerAddress = GalaAuth.tryDerive(() => `eth|${GalaAuth.deriveEthAddress(body.signerPublicKey).slice(2)}`);
+      if (signerAddress?.toLowerCase() !== headerAddress.toLowerCase()) {
+        throw new MockError(403, 'wallet address does not match signer');
+      }
+    }
+
+    if (!body.uniqueKey) {
+      throw new MockError(400, 'uniqueKey is required');
+    }
+    if (this.usedUniqueKeys.has(body.uniqueKey)) {
+      throw new MockError(409, 'uniqueKey already used');
+    }
+    this.usedUniqueKeys.add(body.uniqueKey);
+  }
+
+  async route(method, url, body, headers) {
+    const path = url.pathname;
+
+    if (path.startsWith('/admin/')) {
+      if (this.secure) {
+        throw new MockError(403, 'forbidden: admin access denied');
+      }
+      return { success: true, path };
+    }
+
+    const routes = {
+      'GET /v1/connect/bridge-configurations': () => this.getBridgeConfigurations(url),
+      'POST /v1/connect/bridge/request': () => this.requestBridge(body, headers),
+      'POST /v1/connect/RequestTokenBridgeOut': () => this.requestTokenBridgeOut(body, headers),
+      'POST /v1/connect/BridgeTokenOut': () => this.bridgeTokenOut(body, headers),
+      'POST /v1/connect/bridge/status': () => this.getBridgeStatus(body),
+      'POST /galachain/api/asset/token-contract/FetchBalances': () => this.fetchBalances(body),
+      'POST /galachain/api/asset/token-contract/FetchAllowances': () => this.fetchAllowances(body),
+      'POST /galachain/api/asset/token-contract/GrantAllowance': () => this.grantAllowance(body, headers),
+      'GET /api/swap/available': () => this.getAvailableSwaps(),
+      'POST /api/swap/create': () => this.createSwap(body, headers),
+      'POST /api/swap/accept': () => this.acceptSwap(body, headers),
+      'POST /api/swap/cancel': () => this.cancelSwap(body, headers)
+    };
+
+    const handler = routes[`${method} ${path}`];
+    if (!handler) {
+      throw new MockError(404, `Not found: ${method} ${path}`);
+    }
+    return handler();
+  }
+
+  // =====================================================
+  // BRIDGE ENDPOINTS
+  // =====================================================
+
+  getBridgeConfigurations(url) {
+    const prefix = url.searchParams.get('searchprefix');
+    const tokens = prefix
+      ? this.bridgeTokens.filter(token => token.symbol.toUpperCase().startsWith(prefix.toUpperCase()))
+      : this.bridgeTokens;
+    return { data: { tokens } };
+  }
+
+  requestBridge(body, headers) {
+    const { walletAddress, destinationChainId, recipient, quantity, token, from } = body || {};
+
+    if (this.secure) {
+      if (typeof walletAddress !== 'string' || !walletAddress) {
+        throw new MockError(400, 'walletAddress is required');
+      }
+      this.validateBridgeToken(token, destinationChainId);
+      const problems = checkRecipient(MOCK_CHAINS[String(destinationChainId)], recipient);
+      if (problems.length > 0) {
+        throw new MockError(400, `Invalid recipient: ${problems.join('; ')}`);
+      }
+      if (!isPositiveQuantity(quantity)) {
+        throw new MockError(400, `Invalid quantity: ${quantity}`);
+      }
+      this.checkAllowance(from, headers['x-wallet-address'], token.collection, quantity);
+    }
+
+    const fee = this.bridgeFees[String(destinationChainId)] || '1';
+    return {
+      data: {
+        fee,
+        feeToken: this.feeToken,
+        dto: {
+          destinationChainId,
+          recipient,
+          quantity,
+          tokenInstance: { ...token, instance: '0' },
+          ...(from ? { from } : {})
+        }
+      }
+    };
+  }
+
+  validateBridgeToken(token, destinationChainId) {
+    if (!Number.isInteger(destinationChainId)) {
+      throw new MockError(400, `destinationChainId must be an integer: ${JSON.stringify(destinationChainId)}`);
+    }
+    if (!isPlainObject(token) || typeof token.collection !== 'string') {
+      throw new MockError(400, 'Invalid token: collection is required');
+    }
+    if (token.category !== 'Unit' || token.type !== 'none' || token.additionalKey !== 'none') {
+      throw new MockError(400, `Invalid token class: ${JSON.stringify(token)}`);
+    }
+
+    const config = this.bridgeTokens.find(t => t.symbol === token.collection);
+    if (!config) {
+      throw new MockError(400, `Token not bridgeable: ${token.collection}`);
+    }
+
+    const destinations = config.canBridgeTo.flatMap(bridge => bridge.destinationChainIds);
+    if (!destinations.includes(String(destinationChainId))) {
+      throw new MockError(400, `${token.collection} cannot be bridged to chain ${destinationChainId}`);
+    }
+  }
+
+  requestTokenBridgeOut(body, headers) {
+    const { destinationChainId, recipient, quantity, tokenInstance } = body || {};
+    const signer = headers['x-wallet-address'];
+    const fee = this.bridgeFees[String(destinationChainId)] || '1';
+    // body.from spends another wallet's tokens (under its allowance, in secure
+    // mode); the vulnerable mock also takes whatever owner the body names
+    const owner = this.secure
+      ? body?.from || signer
+      : body?.from || body?.walletAddress || body?.owner || signer;
+    const debits = bridgeOutDebits(tokenInstance?.collection, quantity, fee);
+
+    // Every check comes before anything changes, so a refused transfer
+    // leaves allowances, balances and the duplicate window as they were
+    let fingerprint = null;
+    if (this.secure) {
+      if (!isPlainObject(tokenInstance) || !isPositiveQuantity(quantity)) {
+        throw new MockError(400, 'Invalid RequestTokenBridgeOut payload');
+      }
+      this.validateBridgeToken(tokenInstance, destinationChainId);
+      if (tokenInstance.instance !== '0') {
+        throw new MockError(400, `Invalid token instance: ${JSON.stringify(tokenInstance.instance)}`);
+      }
+      const problems = checkRecipient(MOCK_CHAINS[String(destinationChainId)], recipient);
+      if (problems.length > 0) {
+        throw new MockError(400, `Invalid recipient: ${problems.join('; ')}`);
+      }
+      this.checkAllowance(body.from, signer, tokenInstance.collection, quantity);
+      const balances = this.walletBalances(owner);
+      for (const [collection, units] of debits) {
+        if ((balances.get(collection) || 0n) < units) {
+          throw new MockError(400, `Insufficient ${collection} balance`);
+        }
+      }
+
+      // The same transfer submitted again inside the window is a duplicate.
+      // A bridge/request only quotes a fee, so quotes can repeat freely.
+      fingerprint = JSON.stringify([owner, destinationChainId, recipient, quantity, tokenInstance]);
+      const seenAt = this.recentBridgeRequests.get(fingerprint);
+      if (seenAt && Date.now() - seenAt < this.duplicateWindowMs) {
+        throw new MockError(409, 'duplicate bridge request');
+      }
+    }
+
+    if (fingerprint) {
+      this.recentBridgeRequests.set(fingerprint, Date.now());
+      this.spendAllowance(body.from, signer, tokenInstance.collection, quantity);
+    }
+    if (owner) {
+      for (const [collection, units] of debits) {
+        this.adjustBalance(owner, collection, -units);
+      }
+    }
+
+    const bridgeRequestId = crypto.randomBytes(16).toString('hex');
+    this.bridgeRequests.set(bridgeRequestId, {
+      bridgeRequestId,
+      owner,
+      signer,
+      destinationChainId,
+      recipient,
+      quantity,
+      tokenInstance,
+      status: 'requested',
+      hash: null,
+      submittedAt: null
+    });
+
+    return { data: { bridgeRequestId, bridgeFromChannel: 'asset', fee, feeToken: 'GALA' } };
+  }
+
+  // Only the wallet that signed the RequestTokenBridgeOut can submit it
+  bridgeTokenOut(body, headers) {
+    const { bridgeRequestId } = body || {};
+    const request = this.bridgeRequests.get(bridgeRequestId);
+
+    if (!request) {
+      throw new MockError(404, `Unknown bridge request: ${bridgeRequestId}`);
+    }
+    if (this.secure && request.signer !== headers['x-wallet-address']) {
+      throw new MockError(403, `bridge request ${bridgeRequestId} belongs to another wallet`);
+    }
+    if (request.hash) {
+      if (this.secure) {
+        throw new MockError(409, 'bridge request already submitted');
+      }
+      return { data: { hash: request.hash, bridgeRequestId } };
+    }
+
+    request.hash = `0x${crypto.randomBytes(32).toString('hex')}`;
+    request.submittedAt = Date.now();
+    request.status = 'pending';
+    return { data: { hash: request.hash, bridgeRequestId } };
+  }
+
+  getBridgeStatus(body) {
+    const inbound = this.inboundTransfers.get(body?.hash);
+    if (inbound && (body.chainId === undefined || String(body.chainId) === String(inbound.sourceChainId))) {
+      this.settleBridgeIns();
+      const { hash, status, sourceChainId, owner, collection, quantity } = inbound;
+      return { data: { hash, status, sourceChainId, destinationChainId: 1, owner, collection, quantity } };
+    }
+
+    const request = [...this.bridgeRequests.values()].find(r => r.hash && r.hash === body?.hash);
+    if (!request) {
+      throw new MockError(404, `Unknown bridge transaction: ${body?.hash}`);
+    }
+
+    // Transfers move pending -> processing -> completed as time passes
+    const elapsed = Date.now() - request.submittedAt;
+    if (elapsed >= this.finalityMs) {
+      request.status = 'completed';
+    } else if (elapsed >= this.finalityMs / 2) {
+      request.status = 'processing';
+    }
+
+    return {
+      data: {
+        hash: request.hash,
+        bridgeRequestId: request.bridgeRequestId,
+        status: request.status,
+        destinationChainId: request.destinationChainId,
+        quantity: request.quantity
+      }
+    };
+  }
+
+  // Stands in for a deposit on the source chain (Ethereum by default) that
+  // the relayer will mint on GalaChain: pending -> processing -> completed
+  simulateBridgeIn({ owner, collection = 'GALA', quantity = '1', sourceChainId = 2, hash }) {
+    if (!owner) {
+      throw new MockError(400, 'owner is required');
+    }
+    if (!isPositiveQuantity(quantity)) {
+      throw new MockError(400, `Invalid quantity: ${quantity}`);
+    }
+
+    const transfer = {
+      hash: hash || `0x${crypto.randomBytes(32).toString('hex')}`,
+      owner,
+      collection,
+      quantity: String(quantity),
+      sourceChainId: Number(sourceChainId),
+      status: 'pending',
+      observedAt: Date.now()
+    };
+    this.inboundTransfers.set(transfer.hash, transfer);
+    return transfer;
+  }
+
+  // Credits each inbound transfer exactly once, when it completes
+  settleBridgeIns() {
+    for (const transfer of this.inboundTransfers.values()) {
+      if (transfer.status === 'completed') continue;
+      const elapsed = Date.now() - transfer.observedAt;
+      if (elapsed >= this.finalityMs) {
+        transfer.status = 'completed';
+        this.adjustBalance(transfer.owner, transfer.collection, toUnits(transfer.quantity));
+      } else if (elapsed >= this.finalityMs / 2) {
+        transfer.status = 'processing';
+      }
+    }
+  }
+
+  // =====================================================
+  // BALANCES
+  // =====================================================
+
+  walletBalances(owner) {
+    if (!this.balances.has(owner)) {
+      const initial = new Map(Object.entries(DEFAULT_BALANCES).map(([k, v]) => [k, parseUnits(v)]));
+      this.balances.set(owner, initial);
+    }
+    return this.balances.get(owner);
+  }
+
+  // Balances are held in units (see balance-reconciler.js); delta is a BigInt
+  adjustBalance(owner, collection, delta) {
+    const balances = this.walletBalances(owner);
+    const current = balances.get(collection) || 0n;
+    const next = current + delta;
+    if (this.secure && next < 0) {
+      throw new MockError(400, `Insufficient ${collection} balance`);
+    }
+    balances.set(collection, next);
+  }
+
+  fetchBalances(body) {
+    if (!body?.owner) {
+      throw new MockError(400, 'owner is required');
+    }
+    if (this.secure) {
+      if (typeof body.owner !== 'string' || !/^(eth|client)\|[0-9A-Za-z]+$/.test(body.owner)) {
+        throw new MockError(400, `Invalid owner: ${JSON.stringify(body.owner)}`);
+      }
+      // Token class filters are optional, but must be token class parts when given
+      const badFilter = ['collection', 'category', 'type', 'additionalKey', 'instance']
+        .find(field => body[field] !== undefined && !isTokenClassPart(body[field]));
+      if (badFilter) {
+        throw new MockError(400, `Invalid ${badFilter}: ${JSON.stringify(body[badFilter])}`);
+      }
+    }
+    this.settleBridgeIns();
+
+    const balances = this.walletBalances(body.owner);
+    const data = [...balances.entries()]
+      .filter(([collection]) => !body.collection || body.collection === collection)
+      .map(([collection, quantity]) => ({
+        owner: body.owner,
+        collection,
+        category: 'Unit',
+        type: 'none',
+        additionalKey: 'none',
+        instanceIds: ['0'],
+        quantity: formatUnits(quantity),
+        lockedHolds: [],
+        inUseHolds: []
+      }));
+
+    return { Status: 1, Data: data };
+  }
+
+  // =====================================================
+  // ALLOWANCES
+  // =====================================================
+
+  grantAllowance(body, headers) {
+    const { tokenInstance, allowanceType, quantities, uses, expires } = body || {};
+    if (this.secure && (!tokenInstance?.collection || !Array.isArray(quantities) || quantities.length === 0)) {
+      throw new MockError(400, 'tokenInstance and quantities are required');
+    }
+    if (this.secure && quantities.some(entry => !entry?.user || !isPositiveQuantity(entry.quantity))) {
+      throw new MockError(400, 'every quantity needs a user and a positive quantity');
+    }
+
+    const granted = (quantities || []).map(({ user, quantity }) => ({
+      grantedBy: headers['x-wallet-address'],
+      grantedTo: user,
+      collection: tokenInstance?.collection,
+      category: tokenInstance?.category,
+      type: tokenInstance?.type,
+      additionalKey: tokenInstance?.additionalKey,
+      instance: tokenInstance?.instance ?? '0',
+      allowanceType: Number(allowanceType),
+      quantity,
+      quantitySpent: '0',
+      uses: String(uses ?? '1'),
+      usesSpent: '0',
+      expires: Number(expires || 0),
+      created: Date.now()
+    }));
+    this.allowances.push(...granted);
+    return { Status: 1, Data: granted };
+  }
+
+  fetchAllowances(body) {
+    if (this.secure && !body?.grantedTo) {
+      throw new MockError(400, 'grantedTo is required');
+    }
+    const results = this.allowances.filter(allowance =>
+      ['grantedTo', 'grantedBy', 'collection'].every(key => !body?.[key] || allowance[key] === body[key])
+      && (body?.allowanceType === undefined || allowance.allowanceType === Number(body.allowanceType)));
+    return { Status: 1, Data: { results, nextPageBookmark: '' } };
+  }
+
+  // Spending someone else's tokens needs their grant for at least quantity
+  checkAllowance(owner, spender, collection, quantity) {
+    if (!owner || owner === spender) return;
+    const remaining = remainingAllowance(this.allowances, {
+      grantedBy: owner,
+      grantedTo: spender,
+      collection,
+      allowanceType: BRIDGE_ALLOWANCE_TYPE
+    });
+    if (remaining < parseUnits(quantity)) {
+      throw new MockError(403, `insufficient allowance: ${formatUnits(remaining)} ${collection} of ${quantity} granted by ${owner}`);
+    }
+  }
+
+  // Draws quantity from the spender's grants, oldest first
+  spendAllowance(owner, spender, collection, quantity) {
+    if (!owner || owner === spender) return;
+    let left = parseUnits(quantity);
+    for (const allowance of this.allowances) {
+      if (left === 0n) break;
+      const matches = allowance.grantedBy === owner && allowance.grantedTo === spender
+        && allowance.collection === collection && allowance.allowanceType === BRIDGE_ALLOWANCE_TYPE;
+      const available = matches ? remainingAllowance([allowance]) : 0n;
+      if (available === 0n) continue;
+
+      const spent = available < left ? available : left;
+      allowance.quantitySpent = formatUnits(parseUnits(allowance.quantitySpent) + spent);
+      allowance.usesSpent = String(Number(allowance.usesSpent) + 1);
+      left -= spent;
+    }
+  }
+
+  // =====================================================
+  // SWAPS
+  // =====================================================
+
+  // Open swaps past their expiry are listed as expired, never as open
+  expireSwaps() {
+    for (const swap of this.swaps.values()) {
+      if (swap.status === 'open' && swap.expires && Date.now() >= swap.expires) {
+        swap.status = 'expired';
+      }
+    }
+  }
+
+  getAvailableSwaps() {
+    this.expireSwaps();
+    return [...this.swaps.values()].filter(swap => swap.status === 'open');
+  }
+
+  // Moves quantity x times of every { quantity, tokenInstance } in amounts.
+  // In secure mode every balance is checked first, so a swap the sender
+  // cannot cover moves nothing at all.
+  transferAmounts(amounts, from, to, times) {
+    const totals = new Map();
+    for (const { quantity, tokenInstance } of amounts || []) {
+      const collection = tokenInstance?.collection;
+      const total = toUnits(quantity) * (Number.isSafeInteger(times) ? BigInt(times) : 0n);
+      totals.set(collection, (totals.get(collection) || 0n) + total);
+    }
+
+    if (this.secure && from) {
+      const balances = this.walletBalances(from);
+      for (const [collection, total] of totals) {
+        if ((balances.get(collection) || 0n) < total) {
+          throw new MockError(400, `Insufficient ${collection} balance`);
+        }
+      }
+    }
+    for (const [collection, total] of totals) {
+      if (from) this.adjustBalance(from, collection, -total);
+      if (to) this.adjustBalance(to, collection, total);
+    }
+  }
+
+  // The offered side of every use is escrowed from the owner at creation,
+  // paid out per accept and refunded for the uses left on cancel
+  createSwap(body, headers) {
+    const { offered, wanted, uses, expires } = body || {};
+    if (this.secure && (!Array.isArray(offered) || !Array.isArray(wanted))) {
+      throw new MockError(400, 'offered and wanted must be arrays');
+    }
+    if (this.secure) {
+      for (const amounts of [offered, wanted]) {
+        if (amounts.length === 0 || !amounts.every(isSwapAmount)) {
+          throw new MockError(400, 'offered and wanted must be non-empty lists of { quantity, tokenInstance }');
+        }
+      }
+      if (typeof uses !== 'string' || !/^[1-9]\d*$/.test(uses) || !Number.isSafeInteger(Number(uses))) {
+        throw new MockError(400, `Invalid uses: ${JSON.stringify(uses)}`);
+      }
+    }
+    if (this.secure && expires !== undefined && !(Number(expires) > Date.now())) {
+      throw new MockError(400, 'expires must be in the future');
+    }
+
+    const owner = headers['x-wallet-address'];
+    this.transferAmounts(offered, owner, null, Number(uses || '1'));
+
+    const swapId = crypto.randomBytes(8).toString('hex');
+    const swap = {
+      swapId,
+      owner,
+      offered,
+      wanted,
+      uses: uses || '1',
+      usesSpent: '0',
+      status: 'open',
+      created: Date.now(),
+      expires: expires ? Number(expires) : null
+    };
+    this.swaps.set(swapId, swap);
+    return { data: swap };
+  }
+
+  acceptSwap(body, headers) {
+    const swap = this.swaps.get(body?.swapId);
+    if (!swap) {
+      throw new MockError(404, `Unknown swap: ${body?.swapId}`);
+    }
+    const acceptor = headers['x-wallet-address'];
+    this.expireSwaps();
+    if (this.secure) {
+      if (swap.status !== 'open') {
+        throw new MockError(409, `Swap is ${swap.status}`);
+      }
+      if (swap.owner === acceptor) {
+        throw new MockError(400, 'cannot accept your own swap');
+      }
+    }
+
+    this.transferAmounts(swap.wanted, acceptor, swap.owner, 1);
+    this.transferAmounts(swap.offered, null, acceptor, 1);
+    swap.usesSpent = String(Number(swap.usesSpent) + 1);
+    if (Number(swap.usesSpent) >= Number(swap.uses)) {
+      swap.status = 'filled';
+    }
+    return { data: { ...swap, acceptedBy: acceptor } };
+  }
+
+  cancelSwap(body, headers) {
+    const swap = this.swaps.get(body?.swapId);
+    if (!swap) {
+      throw new MockError(404, `Unknown swap: ${body?.swapId}`);
+    }
+    if (this.secure && swap.owner !== headers['x-wallet-address']) {
+      throw new MockError(403, 'unauthorized: only the swap owner can cancel');
+    }
+    if (this.secure && ['cancelled', 'filled'].includes(swap.status)) {
+      throw new MockError(409, `Swap is ${swap.status}`);
+    }
+
+    this.transferAmounts(swap.offered, null, swap.owner, Number(swap.uses) - Number(swap.usesSpent));
+    swap.status = 'cancelled';
+    return { data: swap };
+  }
+}
+
+// Units of a quantity the vulnerable mock let through; one that is not a
+// plain decimal moves nothing
+function toUnits(quantity) {
+  try {
+    return parseUnits(quantity);
+  } catch {
+    return 0n;
+  }
+}
+
+// What a bridge-out takes from the owner: the quantity, plus the fee in GALA
+function bridgeOutDebits(collection, quantity, fee) {
+  const debits = new Map();
+  if (!collection) return debits;
+  debits.set(collection, toUnits(quantity));
+  debits.set('GALA', (debits.get('GALA') || 0n) + toUnits(fee));
+  return debits;
+}
+
+// Plain decimal: no sign, exponent, whitespace or leading zeros, at most
+// 18 decimals, and below 2^256
+function isPositiveQuantity(quantity) {
+  return typeof quantity === 'string'
+    && /^(0|[1-9]\d*)(\.\d{1,18})?$/.test(quantity)
+    && Number(quantity) > 0
+    && BigInt(quantity.split('.')[0]) < 2n ** 256n;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTokenClassPart(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value);
+}
+
+function isSwapAmount(amount) {
+  const token = amount?.tokenInstance;
+  return isPlainObject(amount)
+    && isPositiveQuantity(amount.quantity)
+    && isPlainObject(token)
+    && ['collection', 'category', 'type', 'additionalKey'].every(field => isTokenClassPart(token[field]))
+    && (token.instance === undefined || (typeof token.instance === 'string' && /^\d+$/.test(token.instance)));
+}
+
+// Own __proto__/constructor/prototype keys, as JSON.parse creates them, are
+// how a body pollutes the prototypes of whatever merges it
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function findForbiddenKey(value, path = '') {
+  if (!value || typeof value !== 'object') return null;
+  for (const key of Object.keys(value)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (FORBIDDEN_KEYS.includes(key)) return keyPath;
+    const nested = findForbiddenKey(value[key], keyPath);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// =====================================================
+// STANDALONE ENTRY POINT
+// =====================================================
+
+function parseArgs(argv) {
+  const args = { mode: process.env.MOCK_MODE || 'secure', port: parseInt(process.env.MOCK_PORT) || 8787 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--mode') args.mode = argv[++i];
+    if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const server = new MockGalaConnectServer({ mode: args.mode, port: args.port, quiet: false });
+  const url = await server.start();
+
+  console.log('🧪 BridgeGuard Mock GalaConnect Server');
+  console.log('=' .repeat(50));
+  console.log(`🔌 Listening on ${url}`);
+  console.log(`🛡️ Mode: ${server.mode} (switch with POST /__mock/mode {"mode":"vulnerable"})`);
+  console.log('🌉 Simulate a bridge-in with POST /__mock/bridge-in {"owner":"eth|...","collection":"GALA","quantity":"10"}');
+
+  const shutdown = async () => {
+    console.log('\n👋 Shutting down mock server...');
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Mock server failed to start:', error.message);
+    process.exit(1);
+  });
+}
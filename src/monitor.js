@@ -0,0 +1,326 @@
+import { GalaBridgeClient } from './api-client.js';
+import { BridgeTester } from './bridge-tester.js';
+import { PublicAPITester } from './public-test.js';
+import { createAlertSinks } from './alert-sinks.js';
+import { config, validateConfig, validateEnvironment } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { recordTestOutcome } from './metrics.js';
+
+export const MONITOR_SUITES = ['public', 'functional', 'all'];
+
+// Latency samples kept per probe and endpoint for the p95
+const LATENCY_WINDOW = 500;
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function createStats() {
+  return {
+    checks: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    state: 'unknown',
+    since: null,
+    failingSince: null,
+    lastAlertAt: null,
+    lastCheckAt: null,
+    lastError: null,
+    latencies: []
+  };
+}
+
+function recordCheck(stats, success, latencyMs, error, now) {
+  stats.checks++;
+  stats.lastCheckAt = new Date(now).toISOString();
+  stats.latencies.push(latencyMs);
+  if (stats.latencies.length > LATENCY_WINDOW) stats.latencies.shift();
+
+  if (!success) {
+    stats.failures++;
+    stats.lastError = error;
+  }
+}
+
+function summarizeStats(stats) {
+  const { latencies } = stats;
+  return {
+    state: stats.state,
+    since: stats.since,
+    checks: stats.checks,
+    failures: stats.failures,
+    uptimePercent: stats.checks ? Number((100 * (stats.checks - stats.failures) / stats.checks).toFixed(2)) : null,
+    lastLatencyMs: latencies.at(-1) ?? null,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    p95LatencyMs: percentile(latencies, 95),
+    lastCheckAt: stats.lastCheckAt,
+    lastError: stats.lastError
+  };
+}
+
+// Probes come from the testers' own plans. The functional plan is built
+// without bridgeTest, so nothing that moves funds is ever scheduled.
+export function buildProbes(suite, options = {}) {
+  const environment = options.environment || config.environment;
+  const probes = [];
+
+  if (suite === 'public' || suite === 'all') {
+    const tester = new PublicAPITester(environment);
+    for (const test of tester.getTestPlan()) {
+      probes.push({
+        id: `public:${test.id}`,
+        suite: 'public',
+        testId: test.id,
+        name: test.name,
+        endpoint: test.endpoint,
+        run: async () => {
+          const result = await test.run();
+          return result !== null && result !== undefined
+            ? { success: true }
+            : { success: false, error: 'request failed (see log)' };
+        }
+      });
+    }
+  }
+
+  if (suite === 'functional' || suite === 'all') {
+    validateConfig();
+    const client = new GalaBridgeClient(
+      config.wallet.privateKey,
+      config.wallet.publicKey,
+      config.wallet.address,
+      { signingScheme: config.wallet.signingScheme, environment }
+    );
+    const tester = new BridgeTester(client);
+    for (const test of tester.getTestPlan()) {
+      probes.push({
+        id: `functional:${test.id}`,
+        suite: 'functional',
+        testId: test.id,
+        name: test.name,
+        endpoint: test.endpoint,
+        run: async () => {
+          const result = await test.run();
+          tester.clearLogs();
+          return result;
+        }
+      });
+    }
+  }
+
+  return options.filter ? probes.filter(probe => options.filter(probe.id)) : probes;
+}
+
+export class BridgeMonitor {
+  constructor(probes, options = {}) {
+    this.probes = probes.map(probe => ({ ...probe, nextRunAt: 0 }));
+    this.intervalMs = options.intervalMs ?? config.monitor.intervalSeconds * 1000;
+    this.failureThreshold = options.failureThreshold ?? config.monitor.failureThreshold;
+    this.realertMs = options.realertMs ?? config.monitor.realertMinutes * 60000;
+    this.sinks = options.sinks || createAlertSinks(config.monitor.alerts);
+    this.environment = options.environment || config.environment.name;
+
+    this.probeStats = new Map(this.probes.map(probe => [probe.id, createStats()]));
+    this.endpointStats = new Map();
+    this.lastResults = new Map();
+    this.alerts = [];
+    this.pendingAlerts = new Set();
+  }
+
+  // Runs until signal aborts. Probes never overlap; one that comes due
+  // while another is running waits its turn.
+  async run(signal) {
+    while (!signal?.aborted) {
+      for (const probe of this.probes) {
+        if (signal?.aborted) break;
+        if (probe.nextRunAt > Date.now()) continue;
+
+        await this.check(probe);
+        probe.nextRunAt = Date.now() + this.intervalMs;
+      }
+
+      const nextRunAt = Math.min(...this.probes.map(probe => probe.nextRunAt));
+      await sleep(Math.max(0, nextRunAt - Date.now()), signal);
+    }
+
+    // Let in-flight webhook and email deliveries finish before returning
+    await Promise.allSettled([...this.pendingAlerts]);
+  }
+
+  async check(probe) {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await probe.run();
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    const now = Date.now();
+    const latencyMs = now - startedAt;
+
+    recordTestOutcome(probe.suite, probe.testId, result.success, latencyMs);
+
+    const stats = this.probeStats.get(probe.id);
+    recordCheck(stats, result.success, latencyMs, result.error, now);
+
+    if (!this.endpointStats.has(probe.endpoint)) {
+      this.endpointStats.set(probe.endpoint, createStats());
+    }
+    const endpointStats = this.endpointStats.get(probe.endpoint);
+    recordCheck(endpointStats, result.success, latencyMs, result.error, now);
+    // Endpoints only track state for the report; alerting is per probe
+    const endpointState = result.success ? 'up' : 'down';
+    if (endpointStats.state !== endpointState) {
+      endpointStats.state = endpointState;
+      endpointStats.since = new Date(now).toISOString();
+    }
+
+    this.lastResults.set(probe.id, {
+      id: probe.id,
+      name: probe.name,
+      endpoint: probe.endpoint,
+      success: result.success,
+      error: result.error,
+      duration: latencyMs
+    });
+
+    this.evaluate(probe, stats, result, now);
+  }
+
+  // Alerts fire on state changes only: once when a probe goes down (after
+  // failureThreshold failures in a row), a reminder every realertMs while it
+  // stays down, and once when it recovers
+  evaluate(probe, stats, result, now) {
+    if (result.success) {
+      if (stats.state === 'down') {
+        this.notify('recovered', probe, stats, { downtimeMs: now - Date.parse(stats.since) });
+      }
+      if (stats.state !== 'up') {
+        stats.state = 'up';
+        stats.since = new Date(now).toISOString();
+      }
+      stats.consecutiveFailures = 0;
+      stats.failingSince = null;
+      return;
+    }
+
+    stats.consecutiveFailures++;
+    stats.failingSince = stats.failingSince || new Date(now).toISOString();
+
+    if (stats.state !== 'down' && stats.consecutiveFailures >= this.failureThreshold) {
+      stats.state = 'down';
+      stats.since = stats.failingSince;
+      stats.lastAlertAt = now;
+      this.notify('down', probe, stats, { error: result.error });
+    } else if (stats.state === 'down' && now - stats.lastAlertAt >= this.realertMs) {
+      stats.lastAlertAt = now;
+      this.notify('down', probe, stats, { error: result.error, reminder: true });
+    }
+  }
+
+  notify(type, probe, stats, details) {
+    const alert = {
+      type,
+      key: `${this.environment}:${probe.id}`,
+      probe: probe.id,
+      name: probe.name,
+      endpoint: probe.endpoint,
+      environment: this.environment,
+      consecutiveFailures: stats.consecutiveFailures,
+      since: stats.since,
+      timestamp: new Date().toISOString(),
+      ...details
+    };
+    this.alerts.push(alert);
+
+    for (const sink of this.sinks) {
+      const delivery = sink.send(alert)
+        .catch(error => console.error(`⚠️ Alert sink ${sink.name} failed: ${error.message}`))
+        .finally(() => this.pendingAlerts.delete(delivery));
+      this.pendingAlerts.add(delivery);
+    }
+  }
+
+  getReport() {
+    return {
+      intervalMs: this.intervalMs,
+      failureThreshold: this.failureThreshold,
+      probes: Object.fromEntries([...this.probeStats].map(([id, stats]) => [id, summarizeStats(stats)])),
+      endpoints: Object.fromEntries([...this.endpointStats].map(([endpoint, stats]) => [endpoint, summarizeStats(stats)])),
+      alerts: this.alerts,
+      suites: [{ name: 'monitor', kind: 'functional', results: [...this.lastResults.values()] }]
+    };
+  }
+
+  printSummary() {
+    console.log('\n📊 MONITOR SUMMARY');
+    console.log('=' .repeat(80));
+    for (const [endpoint, stats] of this.endpointStats) {
+      const summary = summarizeStats(stats);
+      console.log(`${summary.state === 'down' ? '❌' : '✅'} ${endpoint}`);
+      console.log(`   uptime ${summary.uptimePercent}% over ${summary.checks} checks, latency avg ${summary.avgLatencyMs}ms / p95 ${summary.p95LatencyMs}ms`);
+    }
+    console.log(`🔔 Alerts sent: ${this.alerts.length}`);
+  }
+}
+
+// Daemon behind `bridgeguard monitor`: runs until options.signal aborts,
+// then returns { exitCode: INTERRUPTED, report } like the other runners.
+export async function runMonitor(options = {}) {
+  const suite = options.suite || 'public';
+  const intervalSeconds = options.intervalSeconds ?? config.monitor.intervalSeconds;
+
+  if (!MONITOR_SUITES.includes(suite)) {
+    console.error(`💥 Unknown monitor suite: ${suite} (expected ${MONITOR_SUITES.join(', ')})`);
+    return { exitCode: EXIT_CODES.USAGE, report: { error: `Unknown monitor suite: ${suite}` } };
+  }
+  if (!(intervalSeconds > 0)) {
+    console.error('💥 --interval must be a positive number of seconds');
+    return { exitCode: EXIT_CODES.USAGE, report: { error: 'Invalid interval' } };
+  }
+
+  let probes;
+  try {
+    validateEnvironment();
+    probes = buildProbes(suite, { filter: options.filter });
+  } catch (error) {
+    console.error(`💥 Monitor setup failed: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+
+  if (probes.length === 0) {
+    console.error('💥 No probes match --only/--skip');
+    return { exitCode: EXIT_CODES.USAGE, report: { error: 'No probes selected' } };
+  }
+
+  if (options.dryRun) {
+    console.log(`📝 Dry run - probes that would run every ${intervalSeconds}s:`);
+    probes.forEach(probe => console.log(`  • ${probe.id} (${probe.endpoint})`));
+    return {
+      exitCode: EXIT_CODES.SUCCESS,
+      report: { dryRun: true, plan: probes.map(({ id, name, endpoint }) => ({ id, name, endpoint })) }
+    };
+  }
+
+  const monitor = new BridgeMonitor(probes, { intervalMs: intervalSeconds * 1000 });
+  console.log(`👀 Monitoring ${probes.length} probes on ${config.environment.name} every ${intervalSeconds}s`);
+  console.log(`🔔 Alert sinks: ${monitor.sinks.map(sink => sink.name).join(', ')} (down after ${monitor.failureThreshold} failures in a row)`);
+  console.log('   Ctrl+C to stop');
+
+  await monitor.run(options.signal);
+  monitor.printSummary();
+
+  return { exitCode: EXIT_CODES.INTERRUPTED, report: { suite, ...monitor.getReport() } };
+}
@@ -0,0 +1,63 @@
+// Client-side pacing shared by every GalaBridgeClient that talks to the
+// same host, so parallel testers do not trip the API's rate limit together.
+
+export class TokenBucket {
+  constructor({ capacity = 1, refillIntervalMs = 500 } = {}) {
+    this.capacity = capacity;
+    this.refillIntervalMs = refillIntervalMs; // one token per interval
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill(now) {
+    if (this.refillIntervalMs <= 0) {
+      this.tokens = this.capacity;
+    } else {
+      const added = (now - this.updatedAt) / this.refillIntervalMs;
+      this.tokens = Math.min(this.capacity, this.tokens + added);
+    }
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until a token is free; 0 means one was taken
+  tryTake(now = Date.now()) {
+    if (now < this.pausedUntil) return this.pausedUntil - now;
+
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) * this.refillIntervalMs);
+  }
+
+  async take() {
+    let waitMs;
+    while ((waitMs = this.tryTake()) > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  // Server said back off (429 + Retry-After): hold every caller, not just one
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+const sharedBuckets = new Map();
+
+// One bucket per origin; the first client to ask sets its size
+export function getSharedLimiter(baseUrl, options = {}) {
+  const key = new URL(baseUrl).origin;
+  if (!sharedBuckets.has(key)) {
+    sharedBuckets.set(key, new TokenBucket(options));
+  }
+  return sharedBuckets.get(key);
+}
+
+// Exponential backoff with full jitter: random in [0, min(max, base * 2^attempt))
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 10000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
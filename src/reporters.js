@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { EXIT_CODES } from './exit-codes.js';
+
+// Turns a saved run into JSON, JUnit XML or SARIF. A run is the envelope
+// the CLI writes:
+//   { tool, version, command, environment, startedAt, finishedAt, exitCode,
+//     suites: [{ name, kind, results: [{ id, name, success, outcome, error, duration, severity, score, vector, evidence }] }], ... }
+// kind is 'functional', 'security' or 'demo'. Only failed 'security'
+// results become SARIF findings - demo runs fail on purpose - and of those
+// not the ones whose outcome is 'error': the test could not complete, so it
+// found nothing.
+
+export const REPORT_FORMATS = ['json', 'junit', 'sarif'];
+
+// GitHub code scanning reads `security-severity` to rank findings; a
+// result's own CVSS score (see findings.js) takes precedence
+const SEVERITY_LEVELS = {
+  critical: { level: 'error', score: '9.0' },
+  high: { level: 'error', score: '7.5' },
+  medium: { level: 'warning', score: '5.0' },
+  low: { level: 'note', score: '3.0' },
+  info: { level: 'note', score: '0.0' }
+};
+
+// By suite name first, then by kind
+const SOURCE_FILES = {
+  drift: 'src/config-drift.js',
+  fees: 'src/fee-survey.js',
+  security: 'src/security-tester.js',
+  functional: 'src/bridge-tester.js',
+  demo: 'src/security-demo.js'
+};
+
+export function detectReportFormat(file) {
+  const name = file.toLowerCase();
+  if (name.endsWith('.xml')) return 'junit';
+  if (name.endsWith('.sarif') || name.endsWith('.sarif.json')) return 'sarif';
+  return 'json';
+}
+
+// Stable across runs so dashboards can track a finding over time
+export function ruleIdFor(suite, result) {
+  return `bridgeguard/${suite.kind}/${result.id}`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Control characters are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+export function toJsonReport(run) {
+  return JSON.stringify(run, null, 2);
+}
+
+// A test that could not complete is a JUnit error, not a failure
+function isError(result) {
+  return !result.success && result.outcome === 'error';
+}
+
+function isFailure(result) {
+  return !result.success && result.outcome !== 'error';
+}
+
+export function toJUnitReport(run) {
+  const suites = run.suites || [];
+  const tests = suites.reduce((count, suite) => count + suite.results.length, 0);
+  const failures = suites.reduce((count, suite) => count + suite.results.filter(isFailure).length, 0);
+  const errors = suites.reduce((count, suite) => count + suite.results.filter(isError).length, 0);
+  const totalMs = suites.reduce((sum, suite) => sum + suite.results.reduce((ms, r) => ms + (r.duration || 0), 0), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="bridgeguard ${escapeXml(run.command)}" tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(totalMs)}">`
+  ];
+
+  for (const suite of suites) {
+    const suiteFailures = suite.results.filter(isFailure).length;
+    const suiteErrors = suite.results.filter(isError).length;
+    const suiteMs = suite.results.reduce((ms, r) => ms + (r.duration || 0), 0);
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.results.length}" failures="${suiteFailures}" errors="${suiteErrors}" time="${seconds(suiteMs)}" timestamp="${escapeXml(run.startedAt)}">`);
+    lines.push('    <properties>');
+    lines.push(`      <property name="environment" value="${escapeXml(run.environment)}"/>`);
+    lines.push('    </properties>');
+
+    for (const result of suite.results) {
+      const open = `    <testcase classname="bridgeguard.${escapeXml(suite.name)}" name="${escapeXml(result.id)}: ${escapeXml(result.name)}" time="${seconds(result.duration)}"`;
+      if (result.success) {
+        lines.push(`${open}/>`);
+        continue;
+      }
+
+      const details = [result.error, ...(result.evidence || [])].filter(Boolean).join('\n');
+      lines.push(`${open}>`);
+      if (isError(result)) {
+        lines.push(`      <error message="${escapeXml(result.error || 'error')}">${escapeXml(details)}</error>`);
+      } else {
+        lines.push(`      <failure message="${escapeXml(result.error || 'failed')}" type="${escapeXml(result.severity || 'failure')}">${escapeXml(details)}</failure>`);
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+export function toSarifReport(run) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  for (const suite of (run.suites || []).filter(s => s.kind === 'security')) {
+    for (const result of suite.results) {
+      const ruleId = ruleIdFor(suite, result);
+      const severity = SEVERITY_LEVELS[result.severity];
+      const score = typeof result.score === 'number' ? result.score.toFixed(1) : severity?.score;
+
+      if (!ruleIndex.has(ruleId)) {
+        ruleIndex.set(ruleId, rules.length);
+        rules.push({
+          id: ruleId,
+          name: result.name,
+          shortDescription: { text: result.name },
+          properties: {
+            tags: ['security'],
+            ...(score && { 'security-severity': score })
+          }
+        });
+      }
+
+      if (result.success || result.outcome === 'error') continue;
+
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndex.get(ruleId),
+        level: severity?.level || 'warning',
+        message: { text: `${result.name}: ${result.error || 'failed'} (${run.environment})` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: SOURCE_FILES[suite.name] || SOURCE_FILES[suite.kind], uriBaseId: '%SRCROOT%' }
+          }
+        }],
+        partialFingerprints: {
+          'bridgeguard/v1': crypto.createHash('sha256').update(`${ruleId}|${run.environment}`).digest('hex')
+        },
+        properties: {
+          severity: result.severity,
+          ...(result.vector && { cvssVector: result.vector }),
+          environment: run.environment,
+          durationMs: result.duration,
+          evidence: result.evidence || []
+        }
+      });
+    }
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: { name: 'BridgeGuard', version: run.version, rules }
+      },
+      invocations: [{
+        executionSuccessful: run.exitCode !== undefined && run.exitCode !== EXIT_CODES.ERROR && run.exitCode !== EXIT_CODES.USAGE,
+        startTimeUtc: run.startedAt,
+        endTimeUtc: run.finishedAt
+      }],
+      properties: { command: run.command, environment: run.environment },
+      results
+    }]
+  }, null, 2);
+}
+
+export function formatReport(run, format = 'json') {
+  switch (format) {
+    case 'json': return toJsonReport(run);
+    case 'junit': return toJUnitReport(run);
+    case 'sarif': return toSarifReport(run);
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+export function writeReport(file, run, format = detectReportFormat(file)) {
+  const directory = path.dirname(file);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  fs.writeFileSync(file, formatReport(run, format));
+  return format;
+}
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import { config } from './config.js';
+import { SafeModeError } from './errors.js';
+import { parseUnits, formatUnits } from './balance-reconciler.js';
+
+// Safe mode: every request GalaBridgeClient sends is classed as read-only,
+// quote or value-moving by its endpoint. Nothing in the body is trusted: a
+// bridge/request is only a quote when the client call says so (the quote
+// request option), never because of a field the server would ignore.
+// Value-moving requests are refused unless the run
+// is armed (--arm) and has a spend cap (--spend-cap), and each one that is
+// let through is written to the audit log. Loopback hosts (the mock server)
+// hold no real value, so nothing sent there is refused, only audited.
+
+export const REQUEST_CLASSES = {
+  READ_ONLY: 'read-only',
+  QUOTE: 'quote',
+  VALUE_MOVING: 'value-moving'
+};
+
+const { READ_ONLY, QUOTE, VALUE_MOVING } = REQUEST_CLASSES;
+
+// A bridge is reserved by bridge/request and completed by
+// RequestTokenBridgeOut with the DTO the request returned; both key it the
+// same way so the transfer counts against the cap once
+function bridgeKey(destinationChainId, recipient, quantity, collection) {
+  return JSON.stringify([String(destinationChainId), recipient, String(quantity), collection]);
+}
+
+// Amount lists as a malformed (fuzzed) body may carry them: anything that
+// is not a list moves nothing, and a non-object entry has no quantity
+function amountsOf(list) {
+  return Array.isArray(list) ? Array.from(list, amount => (amount && typeof amount === 'object' ? amount : {})) : [];
+}
+
+// "METHOD path" -> { class, spends(data) }; a class function gets the
+// request options' quote flag. spends lists what the request
+// can move out of the wallet as [{ token, quantity, reserves?, completes? }].
+// swap/accept pays the swap's wanted tokens, which the request does not
+// name, so it needs arming but counts nothing against the cap.
+const ENDPOINTS = {
+  'GET /v1/connect/bridge-configurations': { class: READ_ONLY },
+  'POST /v1/connect/bridge/status': { class: READ_ONLY },
+  'POST /galachain/api/asset/token-contract/FetchBalances': { class: READ_ONLY },
+  'POST /galachain/api/asset/token-contract/FetchAllowances': { class: READ_ONLY },
+  'GET /api/swap/available': { class: READ_ONLY },
+  // Fee quotes are never held as pending transfers; anything else is
+  'POST /v1/connect/bridge/request': {
+    class: quote => (quote ? QUOTE : VALUE_MOVING),
+    spends: data => [{
+      token: data?.token?.collection,
+      quantity: data?.quantity,
+      reserves: bridgeKey(data?.destinationChainId, data?.recipient, data?.quantity, data?.token?.collection)
+    }]
+  },
+  'POST /v1/connect/RequestTokenBridgeOut': {
+    class: VALUE_MOVING,
+    spends: data => [{
+      token: data?.tokenInstance?.collection,
+      quantity: data?.quantity,
+      completes: bridgeKey(data?.destinationChainId, data?.recipient, data?.quantity, data?.tokenInstance?.collection)
+    }]
+  },
+  'POST /v1/connect/BridgeTokenOut': { class: VALUE_MOVING },
+  'POST /galachain/api/asset/token-contract/GrantAllowance': {
+    class: VALUE_MOVING,
+    spends: data => amountsOf(data?.quantities).map(({ quantity }) => ({ token: data?.tokenInstance?.collection, quantity }))
+  },
+  'POST /api/swap/create': {
+    class: VALUE_MOVING,
+    spends: data => amountsOf(data?.offered).map(({ quantity, tokenInstance }) => ({ token: tokenInstance?.collection, quantity }))
+  },
+  'POST /api/swap/accept': { class: VALUE_MOVING },
+  'POST /api/swap/cancel': { class: VALUE_MOVING }
+};
+
+// Unknown endpoints (admin probes, anything added later) are value-moving
+// unless they are a GET: refusing a harmless call is the cheaper mistake.
+// quote is the caller's own statement that a bridge/request is a fee quote.
+export function classifyRequest(method, endpoint, data = null, { quote = false } = {}) {
+  const path = endpoint.split('?')[0];
+  const entry = ENDPOINTS[`${method} ${path}`];
+  if (!entry) {
+    return { class: method === 'GET' ? READ_ONLY : VALUE_MOVING, spends: [] };
+  }
+  const requestClass = typeof entry.class === 'function' ? entry.class(quote) : entry.class;
+  const spends = requestClass === VALUE_MOVING && entry.spends ? entry.spends(data) : [];
+  return { class: requestClass, spends };
+}
+
+export function isLoopbackUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === 'localhost' || hostname === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Quantities that are not decimal amounts (a fuzzed payload, a missing
+// field) cannot be capped, so they take the whole cap
+function unitsOf(quantity, cap) {
+  try {
+    const units = parseUnits(quantity);
+    return units < 0n ? 0n : units;
+  } catch {
+    return cap + 1n;
+  }
+}
+
+function parseSpendCap(value) {
+  let units;
+  try {
+    units = parseUnits(value);
+  } catch {
+    units = -1n;
+  }
+  if (units <= 0n) {
+    throw new Error(`Invalid spend cap: ${value} (expected a positive amount, e.g. 5)`);
+  }
+  return units;
+}
+
+export class SafeMode {
+  // spendCap: decimal amount each token may move in this run, e.g. '5'
+  // auditLogPath: JSONL file every allowed value-moving request is appended to
+  constructor({ armed = false, spendCap = null, auditLogPath = null } = {}) {
+    this.armed = armed;
+    this.spendCap = spendCap === null || spendCap === undefined || spendCap === '' ? null : parseSpendCap(spendCap);
+    this.auditLogPath = auditLogPath;
+    this.spent = new Map();        // token -> units
+    this.reservations = new Map(); // bridgeKey -> outstanding count
+    this.auditLog = [];
+    this.blocked = [];
+  }
+
+  // Throws SafeModeError for a value-moving request the run may not send.
+  // Spend is counted when the request is allowed, before it is sent, so a
+  // request that then fails still uses up its share of the cap.
+  authorize({ method, endpoint, baseUrl, data, walletAddress, quote = false }) {
+    const request = classifyRequest(method, endpoint, data, { quote });
+    if (request.class !== VALUE_MOVING) return request;
+
+    const guarded = !isLoopbackUrl(baseUrl);
+    if (guarded) {
+      this.check(method, endpoint, request.spends);
+    }
+    const spent = this.commit(request.spends);
+
+    const entry = {
+      at: new Date().toISOString(),
+      method,
+      url: `${baseUrl}${endpoint}`,
+      walletAddress,
+      guarded,
+      spent
+    };
+    this.auditLog.push(entry);
+    if (this.auditLogPath) {
+      fs.appendFileSync(this.auditLogPath, JSON.stringify(entry) + '\n');
+    }
+    return request;
+  }
+
+  check(method, endpoint, spends) {
+    const refuse = reason => {
+      this.blocked.push({ at: new Date().toISOString(), method, endpoint, reason });
+      throw new SafeModeError(`Safe mode refused ${method} ${endpoint}: ${reason}`, { method, endpoint });
+    };
+
+    if (!this.armed) {
+      refuse('it moves value; rerun with --arm and --spend-cap to allow it');
+    }
+    if (this.spendCap === null) {
+      refuse('armed without a spend cap; set --spend-cap');
+    }
+
+    const totals = new Map();
+    for (const spend of spends) {
+      if (spend.completes && this.reservations.get(spend.completes) > 0) continue;
+      const token = spend.token || 'unknown';
+      totals.set(token, (totals.get(token) || 0n) + unitsOf(spend.quantity, this.spendCap));
+    }
+    for (const [token, units] of totals) {
+      const after = (this.spent.get(token) || 0n) + units;
+      if (after > this.spendCap) {
+        refuse(`${formatUnits(after)} ${token} would exceed the spend cap of ${formatUnits(this.spendCap)}`);
+      }
+    }
+  }
+
+  // Returns what this request counted against the cap, as { token: amount }
+  commit(spends) {
+    const spent = new Map();
+    for (const spend of spends) {
+      if (spend.completes && this.reservations.get(spend.completes) > 0) {
+        this.reservations.set(spend.completes, this.reservations.get(spend.completes) - 1);
+        continue;
+      }
+      const token = spend.token || 'unknown';
+      const units = unitsOf(spend.quantity, this.spendCap ?? 0n);
+      this.spent.set(token, (this.spent.get(token) || 0n) + units);
+      spent.set(token, (spent.get(token) || 0n) + units);
+      if (spend.reserves) {
+        this.reservations.set(spend.reserves, (this.reservations.get(spend.reserves) || 0) + 1);
+      }
+    }
+    return Object.fromEntries([...spent].map(([token, units]) => [token, formatUnits(units)]));
+  }
+
+  // Units of token the spend cap still allows, or null when there is no cap
+  remaining(token) {
+    return this.spendCap === null ? null : this.spendCap - (this.spent.get(token) || 0n);
+  }
+
+  summary() {
+    return {
+      armed: this.armed,
+      spendCap: this.spendCap === null ? null : formatUnits(this.spendCap),
+      spent: Object.fromEntries([...this.spent].map(([token, units]) => [token, formatUnits(units)])),
+      allowed: this.auditLog.length,
+      blocked: this.blocked.length
+    };
+  }
+}
+
+// One guard per run, shared by every client that is not given its own, so
+// the spend cap covers the whole run rather than each client
+let runSafeMode = null;
+
+export function getRunSafeMode() {
+  if (!runSafeMode) {
+    runSafeMode = createSafeMode();
+  }
+  return runSafeMode;
+}
+
+// Replaces the run guard; options override config.safety
+export function configureSafeMode(options = {}) {
+  runSafeMode = createSafeMode(options);
+  return runSafeMode;
+}
+
+function createSafeMode(options = {}) {
+  const { safety } = config;
+  return new SafeMode({
+    armed: options.armed ?? safety.armed,
+    spendCap: options.spendCap ?? safety.spendCap,
+    auditLogPath: options.auditLogPath ?? safety.auditLog
+  });
+}
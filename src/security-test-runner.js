@@ -1,17 +1,17 @@
-#!/usr/bin/env node
-
 import { GalaBridgeClient } from './api-client.js';
 import { BridgeSecurityTester } from './security-tester.js';
-import { config, validateConfig } from './config.js';
+import { loadTestPlugins } from './test-registry.js';
+import { config, validateConfig, validateEnvironment } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
 
-async function runSecurityTests() {
-  console.log('🛡️ BridgeGuard Security Testing Suite');
-  console.log('Testing GalaConnect Bridge against known vulnerabilities and exploits');
-  console.log('=' .repeat(80));
-  
+// Security suite behind `bridgeguard security`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runSecurityTests(options = {}) {
   try {
     // Validate configuration (but allow running without bridge test config)
     console.log('📋 Validating configuration...');
+    validateEnvironment();
+    console.log(`🌐 Environment: ${config.environment.name} (${config.environment.apiBaseUrl})`);
     try {
       validateConfig();
       console.log('✅ Configuration valid');
@@ -19,85 +19,97 @@ async function runSecurityTests() {
       console.log('⚠️ Running security tests without full wallet config');
       console.log('   Some tests will use mock data for security validation');
     }
-    
+
     // Initialize client (even with potentially invalid keys for security testing)
     console.log('🔌 Initializing security test client...');
+    // Public key and address are derived from the private key when unset
     const client = new GalaBridgeClient(
       config.wallet.privateKey || 'a'.repeat(64),
-      config.wallet.publicKey || 'b'.repeat(66), 
-      config.wallet.address || 'client|security_test_address'
+      config.wallet.publicKey,
+      config.wallet.address,
+      { signingScheme: config.wallet.signingScheme, environment: config.environment }
     );
-    
+
+    // Plugin files register their tests next to the built-in ones
+    const plugins = await loadTestPlugins(options.plugins || config.testing.plugins);
+    plugins.forEach(file => console.log(`🧩 Loaded test plugin ${file}`));
+
     // Initialize security tester
     const securityTester = new BridgeSecurityTester(client);
-    
+    const selection = { filter: options.filter, tags: options.tags, capabilities: options.capabilities };
+    if (securityTester.getTestPlan(selection).length === 0) {
+      console.error('💥 No security tests match --only/--skip/--tags/--capabilities');
+      return { exitCode: EXIT_CODES.USAGE, report: { error: 'No tests selected' } };
+    }
+
+    if (options.dryRun) {
+      const plan = securityTester.getTestPlan(selection)
+        .map(({ id, name, category, severity, vector, capabilities, tags, local }) => ({ id, name, category, severity, vector, capabilities, tags, local }));
+      console.log('\n📝 Dry run - security tests that would run:');
+      plan.forEach(test => console.log(`  • ${test.id} (${test.name}) [${test.category}, ${test.severity}] needs: ${test.capabilities.join(', ') || 'nothing'}`));
+      return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, plan } };
+    }
+
     // Run comprehensive security tests
     console.log('\n🚀 Starting security test suite...');
-    const securitySummary = await securityTester.runAllSecurityTests();
-    
-    // Display final security assessment
+    const securitySummary = await securityTester.runAllSecurityTests(selection);
+
+    // Display final security assessment - verdict and exit code come from
+    // the findings, see assessFindings
     console.log('\n📊 FINAL SECURITY ASSESSMENT');
     console.log('=' .repeat(80));
-    
-    if (securitySummary.critical === 0 && securitySummary.failed === 0) {
+
+    const { verdict, exitCode, bySeverity } = securitySummary;
+    if (verdict === 'EXCELLENT') {
       console.log('🎉 SECURITY STATUS: EXCELLENT');
       console.log('   All security tests passed. Bridge appears secure against known exploits.');
-    } else if (securitySummary.critical === 0) {
+    } else if (verdict === 'GOOD') {
       console.log('⚠️ SECURITY STATUS: GOOD WITH WARNINGS');
-      console.log(`   ${securitySummary.failed} non-critical issues found. Review recommended.`);
+      console.log(`   ${bySeverity.medium + bySeverity.low} medium/low findings, ${securitySummary.errors} tests could not complete. Review recommended.`);
     } else {
       console.log('🚨 SECURITY STATUS: CRITICAL VULNERABILITIES FOUND');
+      console.log(`   ${bySeverity.critical} critical and ${bySeverity.high} high findings.`);
       console.log('   DO NOT USE THIS BRIDGE IN PRODUCTION UNTIL ISSUES ARE RESOLVED!');
     }
-    
+
     // Get detailed security report
     const detailedReport = securityTester.getSecurityReport();
     console.log(`\n📝 Security Report Summary:`);
     console.log(`  Total Tests Run: ${detailedReport.summary.total}`);
-    console.log(`  Critical Issues: ${detailedReport.summary.critical}`);
-    console.log(`  Warnings: ${detailedReport.summary.warnings}`);
     console.log(`  Passed Tests: ${detailedReport.summary.passed}`);
-    
-    if (detailedReport.vulnerabilities.length > 0) {
+    console.log(`  Findings: ${detailedReport.findings.length}`);
+    console.log(`  Could Not Complete: ${detailedReport.summary.errors}`);
+
+    if (detailedReport.findings.length > 0) {
       console.log(`\n🚨 VULNERABILITIES DETECTED:`);
-      detailedReport.vulnerabilities.forEach((vuln, index) => {
-        console.log(`  ${index + 1}. [${vuln.severity.toUpperCase()}] ${vuln.message}`);
+      detailedReport.findings.forEach((finding, index) => {
+        console.log(`  ${index + 1}. [${finding.severity.toUpperCase()} ${finding.score.toFixed(1)}] ${finding.title}: ${finding.message}`);
+        if (finding.vector) console.log(`     ${finding.vector}`);
       });
       console.log('\n📋 Recommendations:');
-      console.log('   1. Review and fix all critical vulnerabilities before production use');
-      console.log('   2. Implement additional monitoring for warning-level issues'); 
+      console.log('   1. Review and fix all critical and high findings before production use');
+      console.log('   2. Implement additional monitoring for medium and low findings');
       console.log('   3. Consider third-party security audit for mission-critical deployments');
       console.log('   4. Regularly re-run security tests after any bridge updates');
     }
-    
-    // Exit with appropriate code
-    process.exit(securitySummary.critical > 0 ? 2 : securitySummary.failed > 0 ? 1 : 0);
-    
+
+    return {
+      exitCode,
+      report: {
+        summary: securitySummary,
+        securityReport: detailedReport,
+        suites: [{ name: 'security', kind: 'security', results: detailedReport.results }]
+      }
+    };
+
   } catch (error) {
     console.error('\n💥 Security Testing Failed:', error.message);
     console.log('\n🔧 Troubleshooting:');
     console.log('   1. Ensure network connectivity to GalaConnect API');
     console.log('   2. Check that API endpoints are accessible');
     console.log('   3. Verify configuration files are properly formatted');
-    console.log('   4. Try running basic connectivity tests first: node src/public-test.js');
-    
-    process.exit(3);
+    console.log('   4. Try running basic connectivity tests first: bridgeguard public');
+
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
   }
 }
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\\n👋 Security testing interrupted...');
-  process.exit(130);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\\n👋 Security testing terminated...');
-  process.exit(130);
-});
-
-// Run security tests
-runSecurityTests().catch(error => {
-  console.error('Unhandled security testing error:', error);
-  process.exit(3);
-});
\ No newline at end of file
@@ -0,0 +1,67 @@
+import { GalaAuth } from './auth.js';
+
+// Known-answer vectors for every signing scheme. The signatures are RFC6979
+// deterministic and were cross-checked against the elliptic library, so any
+// change to serialization, hashing or encoding shows up as a mismatch.
+const VECTOR_PRIVATE_KEY = '4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const VECTOR_PUBLIC_KEY = '024e3b81af9c2234cad09d679ce6035ed1392347ce64ce405f5dcd36228a25de6e';
+
+const VECTOR_PAYLOAD = {
+  walletAddress: 'eth|2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+  destinationChainId: 2,
+  recipient: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+  quantity: '1',
+  token: { collection: 'GALA', category: 'Unit', type: 'none', additionalKey: 'none' },
+  uniqueKey: 'bridgeguard-vector-1'
+};
+
+const CANONICAL_MESSAGE = '{"destinationChainId":2,"quantity":"1","recipient":"0x2c7536E3605D9C16a7a3D7b1898e529396a65c23",'
+  + '"token":{"additionalKey":"none","category":"Unit","collection":"GALA","type":"none"},'
+  + '"uniqueKey":"bridgeguard-vector-1","walletAddress":"eth|2c7536E3605D9C16a7a3D7b1898e529396a65c23"}';
+
+export const SIGNING_TEST_VECTORS = [
+  {
+    scheme: 'galachain',
+    message: CANONICAL_MESSAGE,
+    messageHash: 'd096567bd3d12f6f71906be2b95bda5d0d9244cff3bc49aa20896bebd7341df0',
+    signature: '702422a860c59d3587c0f9b421aef87ed52fdca36fb5d6c2d45c843fd0c25187'
+      + '0994539bcedd769b6c7aee23ab39ae541685b5de8b737aa84c7d95b747656cc41c'
+  },
+  {
+    scheme: 'galachain-der',
+    message: CANONICAL_MESSAGE,
+    messageHash: 'd096567bd3d12f6f71906be2b95bda5d0d9244cff3bc49aa20896bebd7341df0',
+    signature: '30440220702422a860c59d3587c0f9b421aef87ed52fdca36fb5d6c2d45c843fd0c25187'
+      + '02200994539bcedd769b6c7aee23ab39ae541685b5de8b737aa84c7d95b747656cc4'
+  },
+  {
+    scheme: 'legacy',
+    message: JSON.stringify(VECTOR_PAYLOAD),
+    messageHash: '2a7793defbd6a6cf72138095e1df4bfd49826318ec3b5fbb5000d8c76374a720',
+    signature: 'f61cce8fc4b2c8aeeb6d23c7654cc5ce9e5f6eba9741ec17efd9f7986a878e71'
+      + '7692f4066ebf9a277531f7582a64ec6fa30ef12812c06af05cf6c1317ea4e872'
+  }
+];
+
+// Returns one entry per vector with the fields that did not match
+export function checkSigningVectors() {
+  return SIGNING_TEST_VECTORS.map(vector => {
+    const auth = new GalaAuth(VECTOR_PRIVATE_KEY, VECTOR_PUBLIC_KEY, null, { signingScheme: vector.scheme });
+    const mismatches = [];
+
+    if (GalaAuth.serializeMessage(VECTOR_PAYLOAD, vector.scheme) !== vector.message) {
+      mismatches.push('message');
+    }
+    if (GalaAuth.hashMessage(VECTOR_PAYLOAD, vector.scheme).toString('hex') !== vector.messageHash) {
+      mismatches.push('messageHash');
+    }
+    if (auth.signRequest(VECTOR_PAYLOAD) !== vector.signature) {
+      mismatches.push('signature');
+    }
+    if (!auth.verifySignature(vector.signature, VECTOR_PAYLOAD)) {
+      mismatches.push('verification');
+    }
+
+    return { scheme: vector.scheme, passed: mismatches.length === 0, mismatches };
+  });
+}
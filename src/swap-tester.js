@@ -0,0 +1,287 @@
+import { GalaBridgeClient } from './api-client.js';
+import { BalanceReconciler, parseUnits } from './balance-reconciler.js';
+import { config, validateConfig } from './config.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { recordTestOutcome } from './metrics.js';
+
+// Swap lifecycle on GalaSwap: create -> inspect -> accept -> cancel, with the
+// balances of both wallets reconciled after every step. Creating a swap
+// escrows the offered tokens for every use; cancelling refunds the uses left.
+
+function toSwapAmount(tokenClass, quantity) {
+  return {
+    quantity: String(quantity),
+    tokenInstance: { collection: tokenClass, category: 'Unit', type: 'none', additionalKey: 'none', instance: '0' }
+  };
+}
+
+function swapIdOf(swap) {
+  return swap?.swapId ?? swap?.id;
+}
+
+// getAvailableSwaps may answer with a bare array or { data: [...] }
+function toSwapList(response) {
+  if (Array.isArray(response)) return response;
+  return Array.isArray(response?.data) ? response.data : [];
+}
+
+export class SwapTester {
+  // counterparty is a second wallet that accepts the swap; without one the
+  // accept step is left out of the plan
+  constructor(client, counterparty = null, options = {}) {
+    this.client = client;
+    this.counterparty = counterparty;
+    this.swap = {
+      offeredToken: options.offeredToken || config.swaps.offeredToken,
+      offeredQuantity: options.offeredQuantity || config.swaps.offeredQuantity,
+      wantedToken: options.wantedToken || config.swaps.wantedToken,
+      wantedQuantity: options.wantedQuantity || config.swaps.wantedQuantity,
+      uses: options.uses || config.swaps.uses
+    };
+    this.swapId = null;
+    this.usesSpent = 0;
+    this.testResults = [];
+    this.results = [];
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logEntry = { timestamp, message, type };
+    console.log(`[${timestamp}] ${type.toUpperCase()}: ${message}`);
+    this.testResults.push(logEntry);
+  }
+
+  async runTest(testName, testFunction) {
+    this.log(`Starting test: ${testName}`, 'test');
+    const startTime = Date.now();
+
+    try {
+      const result = await testFunction();
+      const duration = Date.now() - startTime;
+      this.log(`Test passed: ${testName} (${duration}ms)`, 'success');
+      return { success: true, result, duration };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.log(`Test failed: ${testName} - ${error.message} (${duration}ms)`, 'error');
+      return { success: false, error: error.message, duration };
+    }
+  }
+
+  get tokens() {
+    return [this.swap.offeredToken, this.swap.wantedToken];
+  }
+
+  requireSwap() {
+    if (!this.swapId) {
+      throw new Error('No swap to work with - swap-create did not succeed');
+    }
+  }
+
+  // Throws with the structured diffs when a wallet's balances moved unexpectedly
+  assertBalanced(label, before, after, expectedDrops) {
+    const reconciliation = BalanceReconciler.reconcile(before, after, expectedDrops);
+    if (!reconciliation.balanced) {
+      throw new Error(`${label} balances off: ${JSON.stringify(reconciliation.diffs)}`);
+    }
+    this.log(`${label} balances reconciled: ${JSON.stringify(reconciliation.changes)}`, 'success');
+    return reconciliation;
+  }
+
+  async testCreateSwap() {
+    return await this.runTest('Create Swap', async () => {
+      const { offeredToken, offeredQuantity, wantedToken, wantedQuantity, uses } = this.swap;
+      const reconciler = new BalanceReconciler(this.client);
+      const before = await reconciler.snapshot(this.tokens);
+
+      const response = await this.client.createSwap(
+        [toSwapAmount(offeredToken, offeredQuantity)],
+        [toSwapAmount(wantedToken, wantedQuantity)],
+        uses
+      );
+      this.swapId = swapIdOf(response?.data);
+      if (!this.swapId) {
+        throw new Error('createSwap returned no swap id');
+      }
+      this.log(`Created swap ${this.swapId}: ${offeredQuantity} ${offeredToken} for ${wantedQuantity} ${wantedToken}, ${uses} uses`);
+
+      // Every use is escrowed up front
+      const after = await reconciler.snapshot(this.tokens);
+      const reconciliation = this.assertBalanced('Owner', before, after, {
+        [offeredToken]: parseUnits(offeredQuantity) * BigInt(uses)
+      });
+
+      return { swapId: this.swapId, reconciliation };
+    });
+  }
+
+  async testInspectSwap() {
+    return await this.runTest('Inspect Swap', async () => {
+      this.requireSwap();
+      const swaps = toSwapList(await this.client.getAvailableSwaps());
+      const swap = swaps.find(candidate => swapIdOf(candidate) === this.swapId);
+      if (!swap) {
+        throw new Error(`Swap ${this.swapId} is not listed as available`);
+      }
+
+      const problems = [];
+      if (swap.owner && swap.owner !== this.client.auth.walletAddress) {
+        problems.push(`owner ${swap.owner}`);
+      }
+      if (String(swap.uses) !== String(this.swap.uses)) {
+        problems.push(`uses ${swap.uses}`);
+      }
+      const offered = swap.offered?.[0];
+      if (offered?.tokenInstance?.collection !== this.swap.offeredToken || String(offered?.quantity) !== String(this.swap.offeredQuantity)) {
+        problems.push(`offered ${JSON.stringify(swap.offered)}`);
+      }
+      const wanted = swap.wanted?.[0];
+      if (wanted?.tokenInstance?.collection !== this.swap.wantedToken || String(wanted?.quantity) !== String(this.swap.wantedQuantity)) {
+        problems.push(`wanted ${JSON.stringify(swap.wanted)}`);
+      }
+      if (problems.length > 0) {
+        throw new Error(`Listed swap does not match what was created: ${problems.join(', ')}`);
+      }
+
+      return swap;
+    });
+  }
+
+  async testAcceptSwap() {
+    return await this.runTest('Accept Swap', async () => {
+      this.requireSwap();
+      const { offeredToken, offeredQuantity, wantedToken, wantedQuantity } = this.swap;
+      const ownerReconciler = new BalanceReconciler(this.client);
+      const counterpartyReconciler = new BalanceReconciler(this.counterparty);
+      const ownerBefore = await ownerReconciler.snapshot(this.tokens);
+      const counterpartyBefore = await counterpartyReconciler.snapshot(this.tokens);
+
+      const response = await this.counterparty.acceptSwap(this.swapId);
+      if (!response?.data) {
+        throw new Error('acceptSwap returned no data');
+      }
+      this.usesSpent++;
+
+      // Negative drops are credits: the owner receives the wanted side, the
+      // counterparty pays it and receives one use of the escrowed side
+      const ownerAfter = await ownerReconciler.snapshot(this.tokens);
+      const counterpartyAfter = await counterpartyReconciler.snapshot(this.tokens);
+      const owner = this.assertBalanced('Owner', ownerBefore, ownerAfter, {
+        [wantedToken]: -parseUnits(wantedQuantity)
+      });
+      const counterparty = this.assertBalanced('Counterparty', counterpartyBefore, counterpartyAfter, {
+        [offeredToken]: -parseUnits(offeredQuantity),
+        [wantedToken]: parseUnits(wantedQuantity)
+      });
+
+      return { swap: response.data, owner, counterparty };
+    });
+  }
+
+  async testCancelSwap() {
+    return await this.runTest('Cancel Swap', async () => {
+      this.requireSwap();
+      const { offeredToken, offeredQuantity, uses } = this.swap;
+      const reconciler = new BalanceReconciler(this.client);
+      const before = await reconciler.snapshot(this.tokens);
+
+      await this.client.cancelSwap(this.swapId);
+
+      // Uses nobody accepted come back to the owner
+      const after = await reconciler.snapshot(this.tokens);
+      const reconciliation = this.assertBalanced('Owner', before, after, {
+        [offeredToken]: -parseUnits(offeredQuantity) * BigInt(uses - this.usesSpent)
+      });
+
+      const stillListed = toSwapList(await this.client.getAvailableSwaps())
+        .some(candidate => swapIdOf(candidate) === this.swapId);
+      if (stillListed) {
+        throw new Error(`Swap ${this.swapId} is still listed after cancel`);
+      }
+
+      return { swapId: this.swapId, refundedUses: uses - this.usesSpent, reconciliation };
+    });
+  }
+
+  // Ordered list of { id, name, endpoint, run }; later steps use the swap
+  // that swap-create made, so filtering out swap-create fails the rest
+  getTestPlan(options = {}) {
+    const tests = [
+      { id: 'swap-create', name: 'Create Swap', endpoint: 'POST /api/swap/create', run: () => this.testCreateSwap() },
+      { id: 'swap-inspect', name: 'Inspect Swap', endpoint: 'GET /api/swap/available', run: () => this.testInspectSwap() }
+    ];
+    if (this.counterparty) {
+      tests.push({ id: 'swap-accept', name: 'Accept Swap', endpoint: 'POST /api/swap/accept', run: () => this.testAcceptSwap() });
+    }
+    tests.push({ id: 'swap-cancel', name: 'Cancel Swap', endpoint: 'POST /api/swap/cancel', run: () => this.testCancelSwap() });
+
+    return options.filter ? tests.filter(test => options.filter(test.id)) : tests;
+  }
+
+  async runAllTests(options = {}) {
+    this.log('Starting swap lifecycle tests', 'test');
+
+    const results = [];
+    for (const test of this.getTestPlan(options)) {
+      const result = await test.run();
+      results.push({ id: test.id, name: test.name, ...result });
+      recordTestOutcome('swaps', test.id, result.success, result.duration);
+    }
+
+    const summary = {
+      total: results.length,
+      passed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+    this.results = results;
+
+    this.log(`Swap Summary: ${summary.passed}/${summary.total} passed`,
+      summary.failed === 0 ? 'success' : 'warning');
+
+    return summary;
+  }
+}
+
+// Swap suite behind `bridgeguard swaps`.
+// Returns { exitCode, report } instead of exiting so the CLI owns the process.
+export async function runSwapTests(options = {}) {
+  try {
+    validateConfig();
+
+    const clientOptions = { signingScheme: config.wallet.signingScheme, environment: config.environment };
+    const client = new GalaBridgeClient(config.wallet.privateKey, config.wallet.publicKey, config.wallet.address, clientOptions);
+    const counterparty = config.swaps.counterpartyPrivateKey
+      ? new GalaBridgeClient(config.swaps.counterpartyPrivateKey, null, null, clientOptions)
+      : null;
+
+    const tester = new SwapTester(client, counterparty);
+    const { offeredQuantity, offeredToken, wantedQuantity, wantedToken, uses } = tester.swap;
+    console.log(`💱 Swap under test: ${offeredQuantity} ${offeredToken} for ${wantedQuantity} ${wantedToken}, ${uses} uses (${client.swapBaseUrl})`);
+    if (!counterparty) {
+      console.log('⚠️  swap-accept skipped (set SWAP_COUNTERPARTY_PRIVATE_KEY to a second funded wallet)');
+    }
+
+    if (options.dryRun) {
+      const plan = tester.getTestPlan({ filter: options.filter }).map(({ id, name }) => ({ id, name }));
+      console.log('\n📝 Dry run - swap tests that would run:');
+      plan.forEach(test => console.log(`  • ${test.id} (${test.name})`));
+      return { exitCode: EXIT_CODES.SUCCESS, report: { dryRun: true, plan } };
+    }
+
+    console.log(`⚠️  Escrows ${offeredQuantity} ${offeredToken} x ${uses} until swap-cancel refunds it\n`);
+    const summary = await tester.runAllTests({ filter: options.filter });
+
+    console.log(`\n📊 Swap Results: ${summary.passed}/${summary.total} passed`);
+    summary.results
+      .filter(r => !r.success)
+      .forEach(result => console.log(`  • ${result.id}: ${result.error}`));
+
+    return {
+      exitCode: summary.failed > 0 ? EXIT_CODES.TEST_FAILURES : EXIT_CODES.SUCCESS,
+      report: { summary, suites: [{ name: 'swaps', kind: 'functional', results: summary.results }] }
+    };
+  } catch (error) {
+    console.error(`\n💥 Swap suite failed: ${error.message}`);
+    return { exitCode: EXIT_CODES.ERROR, report: { error: error.message } };
+  }
+}
@@ -0,0 +1,19 @@
+// Test ids are matched whole; `*` matches any run of characters,
+// so `signature-*` selects every signature test.
+function toPatterns(list) {
+  return (list || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => new RegExp(`^${item.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`));
+}
+
+// --only / --skip as a predicate on test ids (undefined when neither is set)
+export function createTestFilter(only, skip) {
+  const include = toPatterns(only);
+  const exclude = toPatterns(skip);
+  if (include.length === 0 && exclude.length === 0) return undefined;
+
+  return id => (include.length === 0 || include.some(pattern => pattern.test(id)))
+    && !exclude.some(pattern => pattern.test(id));
+}
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SEVERITY_ORDER, scoreCvssVector, severityForScore } from './findings.js';
+
+// Test registry: every check is a declaration - id, category, severity and
+// optionally the CVSS vector it is scored from, the capabilities it needs and
+// free-form tags - plus a run(tester) function. Built-in security checks
+// register from security-tester.js; plugin files register the same way when
+// loadTestPlugins imports them.
+
+// What a test may need from the run; a selection that leaves one out
+// drops every test that needs it
+export const TEST_CAPABILITIES = {
+  wallet: 'signs requests as the configured wallet (PRIVATE_KEY)',
+  network: 'sends requests to the selected environment',
+  mutating: 'changes server state: escrows, grants or pending transfers'
+};
+
+// "network,wallet" -> ['network', 'wallet']; "none" selects local-only tests
+export function parseCapabilities(value) {
+  if (value === undefined) return undefined;
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return [];
+
+  const unknown = names.filter(name => !TEST_CAPABILITIES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capability: ${unknown.join(', ')} (expected ${Object.keys(TEST_CAPABILITIES).join(', ')} or none)`);
+  }
+  return names;
+}
+
+export function parseTags(value) {
+  if (value === undefined) return undefined;
+  return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+export class TestRegistry {
+  constructor(name) {
+    this.name = name;
+    this.tests = new Map();
+  }
+
+  // Throws on a malformed declaration or a duplicate id, so a plugin that
+  // shadows a built-in check fails loudly instead of replacing it
+  register(definition) {
+    const { id, name, category, severity, vector, capabilities = [], tags = [], run } = definition || {};
+    const problems = [];
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) problems.push('id must be lowercase letters, digits and dashes');
+    if (typeof name !== 'string' || !name) problems.push('name is required');
+    if (typeof category !== 'string' || !category) problems.push('category is required');
+    if (!SEVERITY_ORDER.includes(severity)) problems.push(`severity must be one of ${SEVERITY_ORDER.join(', ')}`);
+    if (vector !== undefined) {
+      // The declared severity must be the one the vector scores as
+      try {
+        const score = scoreCvssVector(vector);
+        if (severityForScore(score) !== severity) problems.push(`vector scores ${score} (${severityForScore(score)}), not ${severity}`);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (!Array.isArray(capabilities) || capabilities.some(capability => !TEST_CAPABILITIES[capability])) {
+      problems.push(`capabilities must be a list of ${Object.keys(TEST_CAPABILITIES).join(', ')}`);
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) problems.push('tags must be a list of strings');
+    if (typeof run !== 'function') problems.push('run(tester) is required');
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid ${this.name} test ${id ?? '(no id)'}: ${problems.join('; ')}`);
+    }
+    if (this.tests.has(id)) {
+      throw new Error(`Duplicate ${this.name} test id: ${id}`);
+    }
+
+    const test = Object.freeze({ ...definition, capabilities: [...capabilities], tags: [...tags] });
+    this.tests.set(id, test);
+    return test;
+  }
+
+  get(id) {
+    return this.tests.get(id);
+  }
+
+  // Registration order, narrowed by options:
+  //   filter(id)    --only/--skip predicate
+  //   tags          keep tests with at least one of these tags
+  //   capabilities  keep tests whose every capability is in this list
+  list(options = {}) {
+    const { filter, tags, capabilities } = options;
+    return [...this.tests.values()]
+      .filter(test => !filter || filter(test.id))
+      .filter(test => !tags || tags.length === 0 || test.tags.some(tag => tags.includes(tag)))
+      .filter(test => !capabilities || test.capabilities.every(capability => capabilities.includes(capability)));
+  }
+}
+
+export const securityTests = new TestRegistry('security');
+
+export function registerSecurityTest(definition) {
+  return securityTests.register(definition);
+}
+
+// Imports plugin files so their registerSecurityTest calls run. Each path is
+// a .js/.mjs file or a directory whose .js/.mjs files load in name order;
+// relative paths are resolved against the working directory.
+export async function loadTestPlugins(paths = []) {
+  const files = [];
+  for (const entry of paths) {
+    const resolved = path.resolve(entry);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Test plugin not found: ${entry}`);
+    }
+    if (fs.statSync(resolved).isDirectory()) {
+      fs.readdirSync(resolved)
+        .filter(name => /\.m?js$/.test(name))
+        .sort()
+        .forEach(name => files.push(path.join(resolved, name)));
+    } else {
+      files.push(resolved);
+    }
+  }
+
+  for (const file of files) {
+    try {
+      await import(pathToFileURL(file).href);
+    } catch (error) {
+      throw new Error(`Could not load test plugin ${file}: ${error.message}`);
+    }
+  }
+  return files;
+}